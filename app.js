@@ -6,7 +6,12 @@ const logger = require('pino')({
 const Srf = require('drachtio-srf');
 const srf = new Srf(); 
 const redisDb = require('./lib/redisdb');
+const subscribe = require('./lib/subscribe');
 srf.locals.redisDb = new redisDb(logger, srf);
+srf.locals.rls = require('./lib/rls')(logger, srf);
+srf.locals.history = require('./lib/history')(logger, srf);
+srf.locals.authorization = require('./lib/authorization')(logger, srf);
+srf.locals.shutdown = require('./lib/shutdown')(logger, srf);
 
 srf.connect({
   host: process.env.DRACHTIO_HOST || '127.0.0.1',
@@ -17,7 +22,25 @@ srf.on('connect', (err, hp) => {
   if (err) logger.info({err}, 'Error connecting to drachtio server');
   logger.info(`successfully connected to drachtio listening on ${hp}`);
 });
+srf.once('connect', (err) => {
+  if (err) return;
+  srf.locals.cluster = require('./lib/cluster')(logger, srf);
+  if (process.env.WEBSOCKET_PORT) srf.locals.websocket = require('./lib/websocket')(logger, srf);
+  subscribe.restore(logger, srf);
+  srf.locals.expiry = require('./lib/expiry')(logger, srf);
+  if (process.env.ADMIN_HTTP_PORT) srf.locals.admin = require('./lib/admin')(logger, srf);
+});
 
 srf.on('error', (err) => logger.error(err));
 
-srf.subscribe(require('./lib/subscribe')(logger));
+srf.use('subscribe', require('./lib/metrics').countSubscribeResponses);
+srf.use('subscribe', srf.locals.shutdown.rejectWhileDraining);
+if (process.env.AUTHENTICATE === 'true') {
+  const auth = require('./lib/auth')(logger);
+  srf.use('subscribe', auth);
+  srf.use('publish', auth);
+  srf.use('register', auth);
+}
+srf.subscribe(subscribe(logger));
+srf.publish(require('./lib/publish')(logger));
+srf.register(require('./lib/register')(logger));
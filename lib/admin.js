@@ -0,0 +1,315 @@
+const http = require('http');
+const crypto = require('crypto');
+const _ = require('lodash');
+const {URL} = require('url');
+const debug = require('debug')('drachtio:presence-agent');
+const {terminateSubscription} = require('./notifier');
+const metrics = require('./metrics');
+const {HttpError} = require('./utils');
+const apiSubscriptions = require('./api-subscriptions');
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * @module admin
+ *
+ * An HTTP API for operators to inspect and manage subscriptions and event state.
+ * It is started only if ADMIN_HTTP_PORT is set, and listens on ADMIN_HTTP_ADDRESS (default 127.0.0.1).
+ * If ADMIN_TOKEN is set, every request must carry the header 'Authorization: Bearer ${ADMIN_TOKEN}'.
+ *
+ * Responses are JSON:
+ *  - GET /subscriptions[?subscriber=..][&resource=..][&eventType=..][&notifyType=..] - the subscriptions
+ *    (of every instance)
+ *  - GET /subscriptions/${dialogId} - a subscription
+ *  - POST /subscriptions - create a webhook or websocket subscription (see lib/api-subscriptions.js) from a JSON
+ *    body {notifyType, subscriber, resource, eventType, expires, accept, url, secret}
+ *  - PUT /subscriptions/${id} - refresh a webhook or websocket subscription from a JSON body {expires}
+ *  - DELETE /subscriptions/${dialogId}[?reason=..] - terminate a subscription, sending the subscriber a NOTIFY
+ *    with Subscription-State: terminated;reason=${reason} (default 'noresource')
+ *  - GET /state/${aor}[?eventType=..] - the current event state of an aor for each event package (or the one given),
+ *    with the subscriptions to it and the version of the last document each was sent
+ *  - GET /history/${aor}[?eventType=..][&from=..][&to=..][&limit=..] - the changes to the state of an aor (see
+ *    lib/history.js), oldest first, optionally only those of one event package, or in a time range given as
+ *    milliseconds since the epoch or an ISO 8601 date; the latest ${limit} changes (default and at most 1000)
+ *  - GET /resource-lists/${aor} - the members of a resource list (see lib/rls.js)
+ *  - PUT /resource-lists/${aor} - create or replace a resource list from a JSON body {members}, an array of the
+ *    aors of its members; its subscribers are sent the new state of the list
+ *  - DELETE /resource-lists/${aor} - remove a resource list
+ *  - POST /events/${channel} - publish the request body to a redis channel, e.g. to inject a test dialog event;
+ *    it is handled exactly as if it came from the usual publisher.  Only the channels of the loaded event packages
+ *    and of lib/authorization.js ('watcher-rules') may be published to
+ *  - GET /counts - summary counts of subscriptions, registrations, entity tags and redis keys
+ *  - GET /metrics - Prometheus metrics (see lib/metrics.js), in the Prometheus text format
+ *
+ * Subscriptions and registrations that have expired (and are about to be removed, see lib/expiry.js) are not shown
+ * or counted, and subscriptions that have expired can not be terminated through the API.
+ *
+ * Dialog ids contain ';' and '=', so should be percent-encoded in the path.
+ */
+
+module.exports = function(logger, srf) {
+  const port = parseInt(process.env.ADMIN_HTTP_PORT);
+  const address = process.env.ADMIN_HTTP_ADDRESS || '127.0.0.1';
+
+  const server = http.createServer(onRequest.bind(null, logger, srf));
+  server.on('error', (err) => logger.error(err, `admin: Error listening on ${address}:${port}`));
+  server.listen(port, address, () => logger.info(`admin: listening for HTTP on ${address}:${port}`));
+
+  return {
+    server,
+    close: () => server.close()
+  };
+};
+
+const routes = [
+  {method: 'GET', path: /^\/subscriptions$/, handler: listSubscriptions},
+  {method: 'POST', path: /^\/subscriptions$/, handler: createSubscription},
+  {method: 'GET', path: /^\/subscriptions\/([^/]+)$/, handler: getSubscription},
+  {method: 'PUT', path: /^\/subscriptions\/([^/]+)$/, handler: refreshSubscription},
+  {method: 'DELETE', path: /^\/subscriptions\/([^/]+)$/, handler: deleteSubscription},
+  {method: 'GET', path: /^\/state\/([^/]+)$/, handler: getState},
+  {method: 'GET', path: /^\/history\/([^/]+)$/, handler: getHistory},
+  {method: 'GET', path: /^\/resource-lists\/([^/]+)$/, handler: getResourceList},
+  {method: 'PUT', path: /^\/resource-lists\/([^/]+)$/, handler: putResourceList},
+  {method: 'DELETE', path: /^\/resource-lists\/([^/]+)$/, handler: deleteResourceList},
+  {method: 'POST', path: /^\/events\/([^/]+)$/, handler: injectEvent},
+  {method: 'GET', path: /^\/counts$/, handler: getCounts},
+  {method: 'GET', path: /^\/metrics$/, handler: getMetrics, contentType: metrics.register.contentType}
+];
+
+async function onRequest(logger, srf, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  debug(`admin: ${req.method} ${req.url}`);
+  try {
+    if (process.env.ADMIN_TOKEN && !isEqual(req.headers['authorization'], `Bearer ${process.env.ADMIN_TOKEN}`)) {
+      throw new HttpError(401, 'unauthorized');
+    }
+    const matches = routes.filter((r) => r.path.test(url.pathname));
+    if (0 === matches.length) throw new HttpError(404, `no such resource ${url.pathname}`);
+    const route = matches.find((r) => r.method === req.method);
+    if (!route) throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+
+    const params = route.path.exec(url.pathname).slice(1).map(decodeParam);
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : undefined;
+    const result = await route.handler(logger, srf, params, url.searchParams, body);
+    if (route.contentType) {
+      res.writeHead(200, {'Content-Type': route.contentType, 'Content-Length': Buffer.byteLength(result)});
+      return res.end(result);
+    }
+    send(res, 200, result);
+  } catch (err) {
+    if (err instanceof HttpError) return send(res, err.status, {error: err.message});
+    logger.error(err, `admin: Error handling ${req.method} ${req.url}`);
+    send(res, 500, {error: err.message});
+  }
+}
+
+const decodeParam = (param) => {
+  try {
+    return decodeURIComponent(param);
+  } catch (err) {
+    throw new HttpError(400, `invalid percent-encoding in ${param}`);
+  }
+};
+
+/* compare in constant time, so the token can not be guessed a byte at a time */
+const isEqual = (a, b) => {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const send = (res, status, obj) => {
+  const json = JSON.stringify(obj);
+  res.writeHead(status, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json)});
+  res.end(json);
+};
+
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+};
+
+/* the secret of a webhook subscription is not shown */
+const hideSecret = (record) => Object.assign({}, record, {subscription: _.omit(record.subscription, 'secret')});
+
+const parseJson = (body) => {
+  let obj;
+  try {
+    obj = JSON.parse(body);
+  } catch (err) {
+    throw new HttpError(400, `invalid JSON: ${err.message}`);
+  }
+  if (!obj || typeof obj !== 'object') throw new HttpError(400, 'request body must be a JSON object');
+  return obj;
+};
+
+async function listSubscriptions(logger, srf, params, query) {
+  const filters = ['subscriber', 'resource', 'eventType', 'notifyType'].filter((f) => query.has(f));
+  return (await srf.locals.redisDb.getSubscriptionDialogs())
+    .filter(({expires}) => expires > 0)
+    .map((record) => Object.assign(record, {
+      subscription: Object.assign({notifyType: 'sip'}, record.subscription)
+    }))
+    .filter(({subscription}) => filters.every((f) => subscription[f] === query.get(f)))
+    .map(hideSecret);
+}
+
+async function createSubscription(logger, srf, params, query, body) {
+  return await apiSubscriptions.create(logger, srf, parseJson(body));
+}
+
+async function getSubscription(logger, srf, [dialogId]) {
+  const record = await srf.locals.redisDb.getSubscriptionDialog(dialogId);
+  if (!record || record.expires <= 0) throw new HttpError(404, `no subscription on dialog ${dialogId}`);
+  return hideSecret(record);
+}
+
+async function refreshSubscription(logger, srf, [dialogId], query, body) {
+  return await apiSubscriptions.refresh(logger, srf, dialogId, parseJson(body));
+}
+
+async function deleteSubscription(logger, srf, [dialogId], query) {
+  const {redisDb} = srf.locals;
+  const reason = query.get('reason') || 'noresource';
+  if (!/^[a-z-]+$/i.test(reason)) throw new HttpError(400, `invalid reason ${reason}`);
+
+  const record = await redisDb.getSubscriptionDialog(dialogId);
+  if (!record || record.expires <= 0) throw new HttpError(404, `no subscription on dialog ${dialogId}`);
+  logger.info(record.subscription, `admin: terminating subscription on dialog ${dialogId} with reason ${reason}`);
+  await terminateSubscription(logger, srf, record, `terminated;reason=${reason}`);
+  return {dialogId, terminated: true};
+}
+
+async function getState(logger, srf, [aor], query) {
+  const {redisDb} = srf.locals;
+  const eventTypes = query.has('eventType') ? [query.get('eventType')] : Object.keys(redisDb.eventPackages);
+  const unknown = eventTypes.find((e) => !redisDb.eventPackages[e]);
+  if (unknown) throw new HttpError(400, `unsupported event ${unknown}`);
+
+  const records = await redisDb.getResourceSubscriptionDialogs(aor);
+  const results = [];
+  for (const eventType of eventTypes) {
+    const pkg = redisDb.eventPackages[eventType];
+
+    /* retrieving the state on behalf of no subscriber does not use up a version of any subscription */
+    const state = await redisDb.getEventState(undefined, aor, eventType) || {};
+    const subscriptions = [];
+    for (const {dialogId, subscription, resourceList, status, expires} of records) {
+      if (subscription.eventType !== eventType || resourceList) continue;
+      const version = pkg.getVersion ? await pkg.getVersion(subscription) : undefined;
+      subscriptions.push({dialogId, subscriber: subscription.subscriber, status, expires, version});
+    }
+    results.push({
+      eventType,
+      contentType: state.contentType,
+      etag: state.etag,
+      content: state.content,
+      subscriptions
+    });
+  }
+  return {aor, state: results};
+}
+
+async function getHistory(logger, srf, [aor], query) {
+  const {redisDb, history} = srf.locals;
+  if (!history || !history.enabled) throw new HttpError(404, 'event history is not enabled');
+  const eventType = query.get('eventType') || undefined;
+  if (eventType && !redisDb.eventPackages[eventType]) throw new HttpError(400, `unsupported event ${eventType}`);
+  const from = parseTime(query, 'from');
+  const to = parseTime(query, 'to');
+  const limit = query.has('limit') ? parseInt(query.get('limit')) : undefined;
+  if (undefined !== limit && !(limit > 0)) throw new HttpError(400, 'limit must be a positive integer');
+
+  const changes = await history.query(aor, {eventType, from, to, limit});
+  return {aor, changes};
+}
+
+/**
+ * Parse a time given in a query string as milliseconds since the epoch or an ISO 8601 date
+ * @returns {Number} milliseconds since the epoch, or undefined if it was not given
+ */
+const parseTime = (query, name) => {
+  if (!query.has(name)) return;
+  const value = query.get(name);
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) throw new HttpError(400, `${name} must be a time in milliseconds or an ISO 8601 date`);
+  return time;
+};
+
+async function getResourceList(logger, srf, [aor]) {
+  const members = await srf.locals.redisDb.getResourceList(aor);
+  if (0 === members.length) throw new HttpError(404, `no resource list ${aor}`);
+  return {aor, members};
+}
+
+async function putResourceList(logger, srf, [aor], query, body) {
+  const {redisDb, rls} = srf.locals;
+  const {members} = parseJson(body);
+  if (!Array.isArray(members) || 0 === members.length || !members.every(isAor)) {
+    throw new HttpError(400, 'members must be a non-empty array of aors (user@domain)');
+  }
+  if (members.includes(aor)) throw new HttpError(400, 'a resource list can not be a member of itself');
+  logger.info(`admin: setting members of resource list ${aor} to ${members.join(', ')}`);
+  await redisDb.addResourceList(aor, _.uniq(members));
+  await rls.listChanged(aor);
+  return {aor, members: _.uniq(members)};
+}
+
+async function deleteResourceList(logger, srf, [aor]) {
+  const {redisDb, rls} = srf.locals;
+  if (!await redisDb.removeResourceList(aor)) throw new HttpError(404, `no resource list ${aor}`);
+  logger.info(`admin: removed resource list ${aor}`);
+  await rls.listChanged(aor);
+  return {aor, removed: true};
+}
+
+const isAor = (aor) => typeof aor === 'string' && /^[^@\s]+@[^@\s]+$/.test(aor);
+
+async function injectEvent(logger, srf, [channel], query, body) {
+  const {redisDb, authorization} = srf.locals;
+  const channels = Object.values(redisDb.eventPackages)
+    .concat(authorization || [])
+    .reduce((acc, {channels}) => acc.concat(channels || []), []);
+  if (!channels.includes(channel)) {
+    throw new HttpError(403, `channel ${channel} is not one of: ${_.uniq(channels).join(', ')}`);
+  }
+  if (!body || !body.trim()) throw new HttpError(400, 'request body must contain the message to publish');
+  logger.info(`admin: injecting message on channel ${channel}: ${body}`);
+  const receivers = await redisDb.publish(channel, body);
+  return {channel, receivers};
+}
+
+async function getCounts(logger, srf) {
+  const {redisDb} = srf.locals;
+  const records = (await redisDb.getSubscriptionDialogs()).filter(({expires}) => expires > 0);
+  const byEvent = {};
+  const byStatus = {};
+  records.forEach(({subscription, status}) => {
+    byEvent[subscription.eventType] = (byEvent[subscription.eventType] || 0) + 1;
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+  return {
+    subscriptions: records.length,
+    subscriptionsByEvent: byEvent,
+    subscriptionsByStatus: byStatus,
+    genericSubscriptions: await redisDb.getCountOfSubscriptions(),
+    registrations: await redisDb.getCountOfRegistrations(),
+    etags: await redisDb.getCountOfEtags(),
+    keys: await redisDb.getCountOfKeys()
+  };
+}
+
+async function getMetrics() {
+  return await metrics.register.metrics();
+}
@@ -0,0 +1,185 @@
+const _ = require('lodash');
+const short = require('short-uuid');
+const translator = short();
+const {URL} = require('url');
+const {sendNotify, terminateSubscription} = require('./notifier');
+const {NOTIFY_TYPES, getNotifyType, deliver} = require('./delivery');
+const {getTenantOfAor, getTenantEvents, mayWatchAcrossTenants} = require('./tenants');
+const {
+  HttpError,
+  negotiateContentType,
+  getDefaultSubscriptionExpiry,
+  getMinSubscriptionExpiry,
+  getMaxSubscriptionExpiry
+} = require('./utils');
+
+/**
+ * @module api-subscriptions
+ *
+ * Subscriptions for applications that do not speak SIP (e.g. a CRM or a wallboard), which are created,
+ * refreshed and removed through the admin API (see lib/admin.js) rather than by SUBSCRIBE requests.
+ * They are delivered the same event state as SIP subscribers, as JSON notifications (see lib/delivery.js):
+ *  - 'webhook' subscriptions are POSTed to a url (see lib/webhook.js), and
+ *  - 'websocket' subscriptions are sent to a client connected to our WebSocket server (see lib/websocket.js).
+ *
+ * Otherwise they are just like SIP subscriptions: they are added to the event package (or resource list),
+ * recorded as subscription dialogs (with the id of the subscription in place of the stack dialog id), subject to
+ * watcher authorization and rate control, the settings and limits of the tenant of the resource
+ * (see lib/tenants.js), and expire unless refreshed.
+ */
+
+/**
+ * A stand-in for the SUBSCRIBE Dialog of a subscription created through the admin API
+ */
+const makeApiDialog = (logger, srf, dialogId) => {
+  return {
+    srf,
+    id: dialogId,
+    sip: {
+      callId: dialogId.split(':')[1]
+    },
+    request: (opts) => deliver(logger, srf, dialogId, opts)
+  };
+};
+
+/**
+ * Create a subscription
+ * @param {Object} params - notifyType ('webhook' or 'websocket'), subscriber, resource, eventType, and optionally
+ * expires (seconds), accept (as the Accept header of a SUBSCRIBE), url and secret (webhook only)
+ * @returns {Object} {id, expires, status, contentType}
+ */
+const create = async(logger, srf, params) => {
+  const {redisDb, rls, authorization, websocket} = srf.locals;
+  const {notifyType, subscriber, resource, eventType, url, secret, accept} = params;
+
+  if (!NOTIFY_TYPES.includes(notifyType)) throw new HttpError(400, `notifyType must be one of ${NOTIFY_TYPES}`);
+  ['subscriber', 'resource', 'eventType'].forEach((p) => {
+    if (typeof params[p] !== 'string' || !params[p]) throw new HttpError(400, `${p} is required`);
+  });
+  const pkg = redisDb.eventPackages[eventType];
+  const tenant = getTenantOfAor(resource);
+  if (!pkg || !getTenantEvents(tenant, Object.keys(redisDb.eventPackages)).includes(eventType)) {
+    throw new HttpError(400, `unsupported event ${eventType}`);
+  }
+  if (!mayWatchAcrossTenants(subscriber, resource)) {
+    throw new HttpError(403, `${subscriber} is not allowed to watch ${resource} of another tenant`);
+  }
+  if ('webhook' === notifyType && !isHttpUrl(url)) throw new HttpError(400, 'url must be an http or https url');
+  if ('websocket' === notifyType && !websocket) throw new HttpError(400, 'websocket notifications are not enabled');
+  const expires = getExpires(params, eventType, pkg, tenant);
+
+  const contentType = negotiateContentType(accept, pkg.contentTypes);
+  if (!contentType) throw new HttpError(406, `${eventType} is available as ${pkg.contentTypes.join(', ')}`);
+
+  const rule = await authorization.authorize(subscriber, resource, eventType);
+  if ('block' === rule) throw new HttpError(403, `${subscriber} is not allowed to watch ${resource}:${eventType}`);
+  const status = 'pending' === rule ? 'pending' : 'active';
+  const dialogId = `${notifyType}:${translator.new()}`;
+  if (!await redisDb.reserveTenantSubscription(tenant, dialogId)) {
+    throw new HttpError(403, `tenant ${tenant.name} has reached its limit of ${tenant.maxSubscriptions} subscriptions`);
+  }
+
+  const resourceList = await rls.isResourceList(resource);
+  const db = resourceList ? rls : redisDb;
+  const dlg = makeApiDialog(logger, srf, dialogId);
+  const subscription = _.omitBy({
+    subscriber,
+    resource,
+    eventType,
+    notifyType,
+    contentType,
+    accept,
+    url,
+    secret,
+    callId: dlg.sip.callId
+  }, _.isNil);
+
+  logger.info(_.omit(subscription, 'secret'), `api-subscriptions: adding ${notifyType} subscription ${dialogId}`);
+  try {
+    await db.addSubscription(dlg, subscription, expires);
+    await redisDb.addSubscriptionDialog(dialogId, subscription, expires, resourceList, status);
+  } catch (err) {
+    /* the reservation is the subscription dialog, once it has been added */
+    await redisDb.releaseTenantSubscription(tenant, dialogId);
+    throw err;
+  }
+
+  /* a websocket client is sent the current state when it connects */
+  if ('webhook' === notifyType) await notifyState(logger, srf, {dialogId, subscription, resourceList, status});
+  return {id: dialogId, expires, status, contentType};
+};
+
+/**
+ * Refresh a subscription (keeping the versions of the documents it has been sent), or remove it if expires is 0
+ * @returns {Object} {id, expires}
+ */
+const refresh = async(logger, srf, dialogId, params) => {
+  const {redisDb, rls} = srf.locals;
+  const record = await redisDb.getSubscriptionDialog(dialogId);
+  if (!record || !NOTIFY_TYPES.includes(getNotifyType(dialogId)) || record.expires <= 0) {
+    throw new HttpError(404, `no subscription ${dialogId}`);
+  }
+  const {subscription, resourceList, status} = record;
+  const pkg = redisDb.eventPackages[subscription.eventType];
+  const expires = getExpires(params, subscription.eventType, pkg, getTenantOfAor(subscription.resource), true);
+
+  if (0 === expires) {
+    logger.info(`api-subscriptions: removing subscription ${dialogId}`);
+    await terminateSubscription(logger, srf, record, 'terminated;reason=timeout');
+    return {id: dialogId, expires};
+  }
+
+  const db = resourceList ? rls : redisDb;
+  const dlg = makeApiDialog(logger, srf, dialogId);
+  await db.refreshSubscription(dlg, subscription, expires);
+  await redisDb.addSubscriptionDialog(dialogId, subscription, expires, resourceList, status);
+  logger.info(`api-subscriptions: refreshed subscription ${dialogId} for ${expires}s`);
+  return {id: dialogId, expires};
+};
+
+/**
+ * Send a subscription its current state (or, if it is pending authorization, just that it is pending)
+ */
+const notifyState = async(logger, srf, {dialogId, subscription, resourceList, status}) => {
+  const {redisDb, rls} = srf.locals;
+  const db = resourceList ? rls : redisDb;
+  const sub = Object.assign({dialogId}, subscription);
+  if ('pending' === status) {
+    return sendNotify(logger, srf, sub, {eventType: subscription.eventType, subscriptionState: 'pending'});
+  }
+  return sendNotify(logger, srf, sub, {
+    eventType: subscription.eventType,
+    render: async() => {
+      const {subscriber, resource, eventType, contentType} = subscription;
+      const state = await db.getEventState(subscriber, resource, eventType, contentType, subscription) || {};
+      return {contentType: state.contentType, body: state.content, headers: state.headers};
+    }
+  });
+};
+
+const getExpires = (params, eventType, pkg, tenant, allowZero) => {
+  if (undefined === params.expires) return getDefaultSubscriptionExpiry(eventType, pkg.defaultExpiry, tenant);
+  const expires = params.expires;
+  if (!Number.isInteger(expires) || expires < 0 || (0 === expires && !allowZero)) {
+    throw new HttpError(400, 'expires must be a positive integer');
+  }
+  if (expires > 0 && expires < getMinSubscriptionExpiry(eventType, tenant)) {
+    throw new HttpError(400, `expires must be at least ${getMinSubscriptionExpiry(eventType, tenant)}`);
+  }
+  return Math.min(expires, getMaxSubscriptionExpiry(eventType, tenant));
+};
+
+const isHttpUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+module.exports = {
+  create,
+  refresh,
+  notifyState,
+  makeApiDialog
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const config = require('config');
+const debug = require('debug')('drachtio:presence-agent');
+const {parseAor} = require('./utils');
+const {tenantKey} = require('./tenants');
+const NONCE_EXPIRY = parseInt(process.env.AUTH_NONCE_EXPIRY) || 300;
+const CHALLENGE_STATUS = 407 === parseInt(process.env.AUTH_CHALLENGE_STATUS) ? 407 : 401;
+
+/**
+ * @module auth
+ * @see https://tools.ietf.org/html/rfc3261#section-22
+ * @see https://tools.ietf.org/html/rfc2617
+ *
+ * Digest authentication of the requests that create subscriptions, publish event state or register contacts.
+ *
+ * A request without valid credentials is challenged with a 401 (or, if AUTH_CHALLENGE_STATUS is 407, a 407).
+ * The realm is AUTH_REALM if set, otherwise the domain of the request-uri.
+ * Passwords are looked up:
+ *  - in the net -> realm -> user -> password tree in config, then
+ *  - in the redis hash auth-users:${realm} (prefixed with the key prefix of the realm's tenant; see lib/tenants.js),
+ *    which maps each user to a password.
+ *
+ * Nonces are saved in redis (so that any instance can verify a response to a challenge sent by another)
+ * for AUTH_NONCE_EXPIRY seconds (default 300), along with the highest nonce count seen, so that a
+ * response can not be replayed (a nonce used without qop is good for one request only).
+ * A response with an expired nonce is challenged again with stale=true, and a wrong response is challenged again
+ * with a new nonce; only an authenticated request uses up its nonce (count).
+ * A request from a user that has no password in the realm is rejected with a 403.
+ *
+ * Once authenticated, req.authorization is set to {username, realm, aor}, where aor (username@realm) is
+ * used in place of the From header to identify the subscriber.
+ *
+ * The uri in the credentials must be the request-uri (otherwise the request is rejected with a 400), so that
+ * they can not be replayed against another resource.
+ *
+ * Requests within an existing dialog were authenticated when the dialog was created, and are not challenged.
+ */
+
+const makeNonceKey = (nonce) => `nonce:${nonce}`;
+const makeUsersKey = (realm) => tenantKey(realm, `auth-users:${realm}`);
+const md5 = (str) => crypto.createHash('md5').update(str).digest('hex');
+
+module.exports = function(logger) {
+
+  return async(req, res, next) => {
+    if (req.getParsedHeader('to').params.tag) return next();
+
+    const {client} = req.srf.locals.redisDb;
+    const realm = process.env.AUTH_REALM || parseAor(req.uri, req.source_address).split('@')[1];
+    const header = CHALLENGE_STATUS === 407 ? 'Proxy-Authorization' : 'Authorization';
+
+    try {
+      if (!req.has(header)) return await challenge(logger, client, res, realm, false);
+
+      const auth = parseAuthorization(req.get(header));
+      if (auth.realm !== realm || !auth.username || !auth.nonce || !auth.response) {
+        logger.info(`auth: invalid ${header} header for realm ${realm}: ${req.get(header)}`);
+        return await challenge(logger, client, res, realm, false);
+      }
+      if (auth.uri !== req.uri) {
+        logger.info(`auth: ${header} uri ${auth.uri} does not match request-uri ${req.uri}`);
+        return res.send(400);
+      }
+
+      const nonceKey = makeNonceKey(auth.nonce);
+      const lastCount = await client.hgetAsync(nonceKey, 'nc');
+      if (null === lastCount) return await challenge(logger, client, res, realm, true);
+      const nc = parseInt(auth.nc, 16);
+      if (auth.qop && !(nc > parseInt(lastCount))) {
+        logger.info(`auth: ${auth.username}@${realm} reused nonce count ${auth.nc}`);
+        return await challenge(logger, client, res, realm, false);
+      }
+
+      const password = await getPassword(client, realm, auth.username);
+      if (!password) {
+        logger.info(`auth: unknown user ${auth.username}@${realm}`);
+        return res.send(403);
+      }
+      if (!isEqual(calculateResponse(auth, req.method, password), auth.response)) {
+        logger.info(`auth: failed to authenticate ${auth.username}@${realm}`);
+        return await challenge(logger, client, res, realm, false);
+      }
+
+      /* only a request that is authenticated uses up the nonce (count) */
+      if (auth.qop) await client.hsetAsync(nonceKey, 'nc', nc);
+      else await client.delAsync(nonceKey);
+
+      req.authorization = {username: auth.username, realm, aor: `${auth.username}@${realm}`};
+      debug(`auth: authenticated ${req.method} from ${req.authorization.aor}`);
+      next();
+    } catch (err) {
+      logger.error(err, `auth: Error authenticating ${req.method}`);
+      res.send(500);
+    }
+  };
+};
+
+const challenge = async(logger, client, res, realm, stale) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await client.multi()
+    .hset(makeNonceKey(nonce), 'nc', 0)
+    .expire(makeNonceKey(nonce), NONCE_EXPIRY)
+    .execAsync();
+  const header = CHALLENGE_STATUS === 407 ? 'Proxy-Authenticate' : 'WWW-Authenticate';
+  res.send(CHALLENGE_STATUS, {
+    headers: {
+      [header]: `Digest realm="${realm}", nonce="${nonce}", qop="auth", algorithm=MD5${stale ? ', stale=true' : ''}`
+    }
+  });
+};
+
+const parseAuthorization = (value) => {
+  const obj = {};
+  const params = value.replace(/^\s*Digest\s+/i, '');
+  const re = /([a-z0-9-]+)\s*=\s*(?:"([^"]*)"|([^,\s]*))/gi;
+  let arr;
+  while ((arr = re.exec(params)) !== null) {
+    obj[arr[1].toLowerCase()] = undefined !== arr[2] ? arr[2] : arr[3];
+  }
+  return obj;
+};
+
+/* compare in constant time, so the response can not be guessed a byte at a time */
+const isEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const calculateResponse = (auth, method, password) => {
+  const ha1 = md5(`${auth.username}:${auth.realm}:${password}`);
+  const ha2 = md5(`${method}:${auth.uri}`);
+  if (auth.qop) return md5(`${ha1}:${auth.nonce}:${auth.nc}:${auth.cnonce}:${auth.qop}:${ha2}`);
+  return md5(`${ha1}:${auth.nonce}:${ha2}`);
+};
+
+const getPassword = async(client, realm, username) => {
+  if (config.has('net')) {
+    const nets = config.get('net');
+    for (const net of Object.keys(nets)) {
+      const users = nets[net][realm];
+      if (users && typeof users[username] === 'string') return users[username];
+    }
+  }
+  return await client.hgetAsync(makeUsersKey(realm), username);
+};
@@ -0,0 +1,146 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {sendNotify, terminateSubscription} = require('./notifier');
+const {createMessageParser, receiveMessage} = require('./events/messages');
+const RULES = ['allow', 'block', 'pending'];
+const DEFAULT_RULE = RULES.includes(process.env.WATCHER_DEFAULT_RULE) ? process.env.WATCHER_DEFAULT_RULE : 'allow';
+const CHANNEL = 'watcher-rules';
+
+/**
+ * @module authorization
+ * @see https://tools.ietf.org/html/rfc6665#section-4.2.1.3
+ *
+ * Decides whether a watcher may subscribe to a resource.
+ *
+ * The rules for each resource (see RedisDb#setWatcherRule) map a watcher to one of:
+ *  - allow: the subscription is accepted and is active,
+ *  - block: the subscription is refused with a 403, or
+ *  - pending: the subscription is accepted but is pending; the watcher is sent NOTIFYs with
+ *    Subscription-State: pending and no event state until the resource owner allows (or blocks) it.
+ * A watcher with no rule gets WATCHER_DEFAULT_RULE (default 'allow').  A resource owner may always watch
+ * themself, and is the only one who may subscribe to the watcher information (.winfo) of their resource.
+ *
+ * Rules may be changed with setRule/removeRule, or by publishing to the 'watcher-rules' redis channel
+ * a message described by lib/events/schemas/watcher-rules-v1.json, e.g.
+ *
+ *   {"version": 1, "resource": "daveh@drachtio.org", "watcher": "alice@drachtio.org", "rule": "allow"}
+ *
+ * where a rule of 'none' removes the watcher's rule.  Existing subscriptions of the watcher to the resource
+ * are updated straight away: a pending subscription that is allowed becomes active and is sent the current
+ * state, and a subscription that is blocked is terminated with reason=rejected.
+ * The members of a resource list are authorized in the same way (see lib/rls.js), and the subscribers to the
+ * lists containing the resource are sent their full state.
+ */
+
+const parseMessage = createMessageParser({1: require('./events/schemas/watcher-rules-v1.json')}, () => {
+  throw new Error('message is not JSON');
+});
+
+module.exports = function(logger, srf) {
+  const {redisDb} = srf.locals;
+
+  const pubsub = redisDb.client.duplicate();
+  pubsub.on('connect', () => {
+    pubsub.on('subscribe', (channel, count) => {
+      logger.info(`successfully subscribed to channel ${channel}, count is ${count}`);
+    });
+    pubsub.on('message', onMessage.bind(null, logger, srf));
+    pubsub.subscribe(CHANNEL);
+  })
+    .on('error', (err) => {
+      logger.error(err, 'Error connecting to redis for pubsub') ;
+    });
+
+  return {
+    /**
+     * Determine whether a watcher may subscribe to a resource
+     * @returns {String} 'allow', 'block' or 'pending'
+     */
+    authorize: authorize.bind(null, redisDb),
+
+    setRule: async(resource, watcher, rule) => {
+      if (!RULES.includes(rule)) throw new Error(`invalid watcher rule ${rule}`);
+      await redisDb.setWatcherRule(resource, watcher, rule);
+      logger.info(`authorization: ${watcher} watching ${resource}: ${rule}`);
+      await applyRule(logger, srf, resource, watcher);
+    },
+
+    removeRule: async(resource, watcher) => {
+      await redisDb.removeWatcherRule(resource, watcher);
+      logger.info(`authorization: ${watcher} watching ${resource}: removed rule`);
+      await applyRule(logger, srf, resource, watcher);
+    },
+
+    getRules: (resource) => redisDb.getWatcherRules(resource),
+
+    channels: [CHANNEL],
+    disconnect: () => pubsub.quitAsync()
+  };
+};
+
+const authorize = async(redisDb, subscriber, resource, eventType) => {
+  if (eventType.endsWith('.winfo')) return subscriber === resource ? 'allow' : 'block';
+  if (subscriber === resource) return 'allow';
+  return await redisDb.getWatcherRule(resource, subscriber) || DEFAULT_RULE;
+};
+
+const onMessage = async(logger, srf, channel, msg) => {
+  const {cluster, redisDb, authorization} = srf.locals;
+  if (cluster && !await cluster.claimEvent(channel, msg)) return;
+
+  const message = await receiveMessage(logger, redisDb.client, channel, msg, parseMessage);
+  if (!message) return;
+  const {resource, watcher, rule} = message;
+  try {
+    if ('none' === rule) await authorization.removeRule(resource, watcher);
+    else await authorization.setRule(resource, watcher, rule);
+  } catch (err) {
+    logger.error({err}, `authorization#onMessage: Error applying ${msg}`);
+  }
+};
+
+/**
+ * Bring the existing subscriptions of a watcher to a resource into line with the rules
+ */
+const applyRule = async(logger, srf, resource, watcher) => {
+  const {redisDb, rls} = srf.locals;
+  const records = (await redisDb.getResourceSubscriptionDialogs(resource))
+    .filter(({subscription}) => subscription.subscriber === watcher && !subscription.eventType.endsWith('.winfo'));
+
+  for (const record of records) {
+    const {dialogId, subscription, resourceList, status} = record;
+    const db = resourceList ? rls : redisDb;
+    const sub = Object.assign({dialogId}, subscription);
+    const rule = await authorize(redisDb, watcher, resource, subscription.eventType);
+    debug(`authorization#applyRule: ${status} subscription on dialog ${dialogId} is now ${rule}`);
+    try {
+      if ('block' === rule) {
+        await terminateSubscription(logger, srf, record, 'terminated;reason=rejected');
+      }
+      else if ('allow' === rule && 'pending' === status) {
+        await redisDb.setSubscriptionDialogStatus(dialogId, 'active');
+        await sendNotify(logger, srf, sub, {
+          eventType: subscription.eventType,
+          render: async() => {
+            const {subscriber, eventType, contentType} = subscription;
+            const state = await db.getEventState(subscriber, resource, eventType, contentType, subscription) || {};
+            return {contentType: state.contentType, body: state.content, headers: state.headers};
+          }
+        });
+      }
+      else if ('pending' === rule && 'active' === status) {
+        await redisDb.setSubscriptionDialogStatus(dialogId, 'pending');
+        await sendNotify(logger, srf, sub, {eventType: subscription.eventType, subscriptionState: 'pending'});
+      }
+    } catch (err) {
+      logger.error({err}, `authorization#applyRule: Error updating subscription on dialog ${dialogId}`);
+    }
+  }
+
+  /* the resource lists containing the resource show its state (or not) according to the rules */
+  if (!rls) return;
+  try {
+    for (const list of await redisDb.getResourceListsContaining(resource)) await rls.listChanged(list);
+  } catch (err) {
+    logger.error({err}, `authorization#applyRule: Error notifying the resource lists containing ${resource}`);
+  }
+};
@@ -0,0 +1,180 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {getInstanceId, getNotifyRate} = require('./utils');
+const rateControl = require('./rate-control');
+const {trackNotify} = require('./metrics');
+const {isApiSubscription, deliver} = require('./delivery');
+const {watchNotify} = require('./notifier');
+const HEARTBEAT_INTERVAL = parseInt(process.env.CLUSTER_HEARTBEAT_INTERVAL) || 5;
+const EVENT_CLAIM_EXPIRY = 5;
+const INSTANCES = 'instances';
+
+/**
+ * @module cluster
+ *
+ * Allows several instances to share a redis server.
+ *
+ * 1. Ownership
+ * Each subscription dialog is owned by the instance that created it (see RedisDb#addSubscriptionDialog),
+ * which is the instance connected to the drachtio server that knows about the dialog.  NOTIFYs for
+ * a subscription owned by another instance are forwarded to it over the redis channel notify:${instance id},
+ * and it applies the rate limits of the subscription (see lib/rate-control.js); a NOTIFY that replaces several
+ * held ones, or is forced, is sent with the full state of the resource at that time.
+ *
+ * 2. Events
+ * Every instance receives every message published to an event package's redis channel, so a package
+ * calls claimEvent before handling a message, and only the instance that claims it handles it.  A message with
+ * a messageId (see lib/events/schemas) is claimed by its channel and messageId for EVENT_CLAIM_EXPIRY seconds.
+ * A message without one (e.g. in a package's original format) can not be told apart from an identical one
+ * published later, so rather than being claimed it is handled by the leader: the live instance whose id sorts
+ * first, as found by each heartbeat.  While an instance is failing, such messages may be handled by two
+ * instances, or (until its key expires, if it was the leader) by none.
+ *
+ * 3. Failure
+ * Each instance refreshes the key instance:${instance id} every CLUSTER_HEARTBEAT_INTERVAL seconds (default 5),
+ * and is a member of the set 'instances'.  When an instance's key expires, the first instance to notice removes
+ * it from the set and takes over its subscriptions; any that can not be restored are terminated.
+ */
+
+const makeInstanceKey = (instanceId) => `instance:${instanceId}`;
+const makeNotifyChannel = (instanceId) => `notify:${instanceId}`;
+const makeEventClaimKey = (channel, messageId) => `event-claim:${channel}:${messageId}`;
+
+/**
+ * @returns {String} the messageId of a message received on an event package's redis channel, if it has one
+ */
+const getMessageId = (msg) => {
+  if (!msg.trim().startsWith('{')) return;
+  try {
+    const {messageId} = JSON.parse(msg);
+    if ('string' === typeof messageId && messageId.length) return messageId;
+  } catch (err) {
+    debug(`cluster#getMessageId: invalid JSON: ${msg}`);
+  }
+};
+
+module.exports = function(logger, srf) {
+  const {redisDb} = srf.locals;
+  const {client} = redisDb;
+  const instanceId = getInstanceId();
+
+  const pubsub = client.duplicate();
+  pubsub.on('connect', () => {
+    pubsub.on('subscribe', (channel, count) => {
+      logger.info(`successfully subscribed to channel ${channel}, count is ${count}`);
+    });
+    pubsub.on('message', onForwardedNotify.bind(null, logger, srf));
+    pubsub.subscribe(makeNotifyChannel(instanceId));
+  })
+    .on('error', (err) => {
+      logger.error(err, 'Error connecting to redis for pubsub') ;
+    });
+
+  const state = {leader: false};
+  const timer = setInterval(heartbeat.bind(null, logger, srf, instanceId, state), HEARTBEAT_INTERVAL * 1000);
+  const started = heartbeat(logger, srf, instanceId, state);
+  logger.info(`cluster: running as instance ${instanceId}`);
+
+  return {
+    instanceId,
+
+    /**
+     * Claim a message received on an event package's redis channel
+     * @returns {Boolean} true if this instance should handle the message
+     */
+    claimEvent: async(channel, msg) => {
+      const messageId = getMessageId(msg);
+      if (!messageId) {
+        await started;
+        debug(`cluster#claimEvent: ${state.leader ? 'leader handles' : 'leaving'} ${channel}: ${msg}`);
+        return state.leader;
+      }
+      const key = makeEventClaimKey(channel, messageId);
+      const reply = await client.setAsync(key, instanceId, 'NX', 'EX', EVENT_CLAIM_EXPIRY);
+      debug(`cluster#claimEvent: ${reply === 'OK' ? 'claimed' : 'did not claim'} ${channel}: ${msg}`);
+      return reply === 'OK';
+    },
+
+    /**
+     * Forward a NOTIFY to the instance that owns the subscription dialog
+     */
+    forwardNotify: async(owner, opts) => {
+      debug(`cluster#forwardNotify: forwarding NOTIFY on dialog ${opts.stackDialogId} to ${owner}`);
+      const n = await client.publishAsync(makeNotifyChannel(owner), JSON.stringify(opts));
+      if (0 === n) throw new Error(`instance ${owner} is not listening for NOTIFYs`);
+    },
+
+    disconnect: () => {
+      clearInterval(timer);
+      return pubsub.quitAsync();
+    }
+  };
+};
+
+const onForwardedNotify = async(logger, srf, channel, msg) => {
+  try {
+    const opts = JSON.parse(msg);
+    const {stackDialogId} = opts;
+    const final = opts.headers['Subscription-State'].startsWith('terminated');
+    const record = await srf.locals.redisDb.getSubscriptionDialog(stackDialogId);
+    debug(`cluster#onForwardedNotify: sending forwarded NOTIFY on dialog ${stackDialogId}`);
+    const send = async(fullState, attempt = 0) => {
+      const notify = fullState && record ? await renderFullState(srf, record, opts) : opts;
+      if (isApiSubscription(stackDialogId)) return deliver(logger, srf, stackDialogId, notify);
+      return watchNotify(logger, srf, stackDialogId,
+        trackNotify(srf.request('sip:placeholder', Object.assign({}, notify, {method: 'NOTIFY'}))), {
+          final,
+          attempt,
+          resend: (n) => send(true, n)
+        });
+    };
+    await rateControl.schedule(logger, stackDialogId, getNotifyRate(record && record.subscription), send, {final});
+  } catch (err) {
+    logger.error({err}, `cluster#onForwardedNotify: Error sending forwarded NOTIFY: ${msg}`);
+  }
+};
+
+/**
+ * Replace the body of a forwarded NOTIFY with the current (full) state of the resource
+ */
+const renderFullState = async(srf, record, opts) => {
+  const {redisDb, rls} = srf.locals;
+  const {subscriber, resource, eventType, contentType} = record.subscription;
+  const db = record.resourceList ? rls : redisDb;
+  const state = await db.getEventState(subscriber, resource, eventType, contentType, record.subscription);
+  if (!state) return opts;
+  const headers = Object.assign({}, opts.headers, state.headers, {'Content-Type': state.contentType});
+  return Object.assign({}, opts, {headers, body: state.content});
+};
+
+const heartbeat = async(logger, srf, instanceId, state) => {
+  const {client} = srf.locals.redisDb;
+  try {
+    await client.multi()
+      .set(makeInstanceKey(instanceId), Date.now(), 'EX', HEARTBEAT_INTERVAL * 3)
+      .sadd(INSTANCES, instanceId)
+      .execAsync();
+
+    const instances = await client.smembersAsync(INSTANCES);
+    const live = [instanceId];
+    for (const other of instances.filter((i) => i !== instanceId)) {
+      if (await client.existsAsync(makeInstanceKey(other))) {
+        live.push(other);
+        continue;
+      }
+
+      /* only one surviving instance gets to take over */
+      if (1 !== await client.sremAsync(INSTANCES, other)) continue;
+      await takeover(logger, srf, instanceId, other);
+    }
+    state.leader = live.sort()[0] === instanceId;
+  } catch (err) {
+    logger.error({err}, 'cluster#heartbeat: Error');
+  }
+};
+
+const takeover = async(logger, srf, instanceId, failed) => {
+  const {redisDb} = srf.locals;
+  const dialogIds = await redisDb.reassignSubscriptionDialogs(failed, instanceId);
+  logger.info(`cluster: instance ${failed} has failed, taking over its ${dialogIds.length} subscriptions`);
+  if (dialogIds.length) await require('./subscribe').restore(logger, srf, dialogIds);
+};
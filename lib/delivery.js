@@ -0,0 +1,60 @@
+const debug = require('debug')('drachtio:presence-agent');
+const webhook = require('./webhook');
+const NOTIFY_TYPES = ['webhook', 'websocket'];
+
+/**
+ * @module delivery
+ *
+ * Delivers NOTIFYs to subscriptions that were created through the admin API rather than by a SIP SUBSCRIBE
+ * (see lib/api-subscriptions.js).  The id of such a subscription takes the place of the stack dialog id
+ * and starts with its notify type, e.g. 'webhook:...' or 'websocket:...'.
+ *
+ * Each NOTIFY is converted to a JSON notification:
+ *   {id, event, subscriptionState, contentType, body, timestamp}
+ * where event, subscriptionState and contentType are the values of the Event, Subscription-State and
+ * Content-Type headers of the NOTIFY, and body is its body (if any).
+ */
+
+/**
+ * @returns {Boolean} true if the subscription was created through the admin API
+ */
+const isApiSubscription = (dialogId) => NOTIFY_TYPES.some((t) => dialogId.startsWith(`${t}:`));
+
+const getNotifyType = (dialogId) => dialogId.split(':')[0];
+
+/**
+ * Deliver a NOTIFY to a subscription created through the admin API
+ * @param {Object} logger - pino logger
+ * @param {Object} srf - drachtio Srf instance
+ * @param {String} dialogId - the id of the subscription
+ * @param {Object} opts - headers and body of the NOTIFY
+ */
+const deliver = async(logger, srf, dialogId, {headers, body}) => {
+  const notification = {
+    id: dialogId,
+    event: headers['Event'],
+    subscriptionState: headers['Subscription-State'],
+    contentType: body ? headers['Content-Type'] : undefined,
+    body,
+    timestamp: new Date().toISOString()
+  };
+  debug(`delivery#deliver: ${notification.subscriptionState} notification for ${dialogId}`);
+
+  if ('webhook' === getNotifyType(dialogId)) {
+    const record = await srf.locals.redisDb.getSubscriptionDialog(dialogId);
+    if (!record) throw new Error(`webhook subscription ${dialogId} not found`);
+    const {url, secret} = record.subscription;
+    return webhook.send(logger, {url, secret}, notification);
+  }
+
+  const {websocket} = srf.locals;
+  if (!websocket) throw new Error('websocket notifications are not enabled');
+  return websocket.send(dialogId, notification);
+};
+
+module.exports = {
+  NOTIFY_TYPES,
+  isApiSubscription,
+  getNotifyType,
+  deliver
+};
@@ -1,5 +1,138 @@
-module.exports = function(logger, client, srf) {
-  return {
-    dialog: require('./packages/dialog')(logger, client, srf)
-  };
+const path = require('path');
+const debug = require('debug')('drachtio:presence-agent');
+
+/**
+ * @module events
+ *
+ * Loads the event packages named in SUPPORTED_EVENTS.
+ *
+ * An event package is a module that exports a factory function with signature
+ * (logger, client, srf, emitter, eventType) which returns an object implementing the following interface:
+ *   - getEventState(subscriber, resource, contentType, obj) - returns {aor, eventType, contentType, content},
+ *     where the content is of the given type (or the package's default type, if none is given), and obj is the
+ *     subscription it is for (if any); a subscription is identified by obj.callId and obj.id as well as the
+ *     subscriber and resource, since one subscriber may have several (e.g. from different devices).  For a member
+ *     of a resource list, obj is just {version}: the version the document should carry, which the resource list
+ *     server keeps for each member of each list subscription
+ *   - addSubscription(dlg, obj, expiry) - saves a subscription; NOTIFYs are sent using dlg.id as the dialog id
+ *     of the subscription, and obj.notifyType (if any) says how they are delivered (see lib/delivery.js)
+ *   - removeSubscription(obj) - removes a subscription
+ *   - refreshSubscription(obj, expiry) - (optional) extends a subscription, keeping what the package knows of it
+ *     (e.g. the version of the last document sent, which must keep going up); returns true if the subscription
+ *     was found.  Without it, a refreshed subscription is removed and added again
+ *   - findSubscriptions(resource) - (optional) returns the data for all subscriptions to a resource; only packages
+ *     that provide it accept PUBLISH requests (see lib/publish.js)
+ *   - getVersion(obj) - (optional) returns the version of the last document sent on a subscription, if any
+ *   - disconnect() - (optional) quits any redis connections of its own (e.g. for pubsub), on shutdown; may return
+ *     a promise that resolves once they are closed
+ *   - channels - (optional) array of the redis channels the package receives messages on, which are the only
+ *     channels the admin API may publish to (see lib/admin.js)
+ *   - contentTypes - array of the content types the package produces, the default first
+ *   - defaultExpiry - default subscription expiry, in seconds
+ *
+ * Whenever the state of a resource changes, a package should emit a 'stateChange' event
+ * with {eventType, aor} on the emitter, so that (for instance) resource lists containing it are notified.
+ * The event may also give the source of the change (e.g. the redis channel) and an object describing the change,
+ * which are recorded in the event history of the resource (see lib/history.js).
+ *
+ * A package should keep the redis keys of each resource in the namespace of the resource's tenant, by making them
+ * with tenantKey(resource, key) (see lib/tenants.js).
+ *
+ * For an event type 'foo' the package is found by looking, in order:
+ *   - for a module mapped to 'foo' in EVENT_PACKAGE_MODULES (e.g. "foo=@acme/presence-foo,bar=/opt/bar.js")
+ *   - for 'foo' (either foo.js or foo/index.js) in each of the directories in EVENT_PACKAGE_PATH
+ *   - for 'foo' in lib/events/packages
+ * and, for an event type with a template (e.g. 'presence.winfo'), then for the template package ('winfo')
+ * in the same places; the factory is called once for each event type that uses the template.
+ *
+ * Any package that can not be found or does not implement the interface causes an error at startup.
+ */
+
+const REQUIRED_METHODS = ['getEventState', 'addSubscription', 'removeSubscription'];
+const OPTIONAL_METHODS = ['findSubscriptions', 'refreshSubscription', 'getVersion', 'disconnect'];
+
+const parseModuleMap = (str) => {
+  const obj = {};
+  (str || '').split(',')
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0)
+    .forEach((s) => {
+      const [eventType, ...rest] = s.split('=');
+      obj[eventType.trim()] = rest.join('=').trim();
+    });
+  return obj;
+};
+
+const resolvePackage = (eventType) => {
+  const modules = parseModuleMap(process.env.EVENT_PACKAGE_MODULES);
+  if (modules[eventType]) {
+    try {
+      return require.resolve(modules[eventType], {paths: [process.cwd(), __dirname]});
+    } catch (err) {
+      throw new Error(`event package '${eventType}': unable to find module ${modules[eventType]}`);
+    }
+  }
+
+  const dirs = (process.env.EVENT_PACKAGE_PATH || '')
+    .split(path.delimiter)
+    .filter((d) => d.length > 0)
+    .concat(path.join(__dirname, 'packages'));
+  const names = [eventType];
+  if (eventType.includes('.')) names.push(eventType.split('.').pop());
+  for (const name of names) {
+    for (const dir of dirs) {
+      try {
+        return require.resolve(path.resolve(dir, name));
+      } catch (err) {
+        debug(`events#resolvePackage: ${name} not found in ${dir}`);
+      }
+    }
+  }
+  throw new Error(`event package '${eventType}': no implementation found in ${dirs.join(', ')}`);
+};
+
+const validatePackage = (eventType, location, pkg) => {
+  const errors = [];
+  if (!pkg || typeof pkg !== 'object') {
+    throw new Error(`event package '${eventType}' loaded from ${location}: factory did not return an object`);
+  }
+  REQUIRED_METHODS.forEach((m) => {
+    if (typeof pkg[m] !== 'function') errors.push(`missing implementation of ${m}`);
+  });
+  OPTIONAL_METHODS.forEach((m) => {
+    if (m in pkg && typeof pkg[m] !== 'function') errors.push(`${m} must be a function`);
+  });
+  if (!Array.isArray(pkg.contentTypes) || 0 === pkg.contentTypes.length ||
+    !pkg.contentTypes.every((t) => typeof t === 'string')) {
+    errors.push('contentTypes must be a non-empty array of strings');
+  }
+  if ('channels' in pkg && (!Array.isArray(pkg.channels) || !pkg.channels.every((c) => typeof c === 'string'))) {
+    errors.push('channels must be an array of strings');
+  }
+  if (!Number.isInteger(pkg.defaultExpiry) || pkg.defaultExpiry <= 0) {
+    errors.push('defaultExpiry must be a positive integer');
+  }
+  if (errors.length) {
+    throw new Error(`event package '${eventType}' loaded from ${location} is invalid: ${errors.join('; ')}`);
+  }
+};
+
+module.exports = function(logger, client, srf, emitter) {
+  const supportedEvents = process.env.SUPPORTED_EVENTS.split(',').map((e) => e.trim());
+  const packages = {};
+
+  for (const eventType of supportedEvents) {
+    const location = resolvePackage(eventType);
+    const factory = require(location);
+    if (typeof factory !== 'function') {
+      throw new Error(`event package '${eventType}' loaded from ${location} must export a factory function`);
+    }
+    const pkg = factory(logger, client, srf, emitter, eventType);
+    validatePackage(eventType, location, pkg);
+
+    logger.info(`loaded event package ${eventType} from ${location}`);
+    packages[eventType] = pkg;
+  }
+
+  return packages;
 };
@@ -0,0 +1,91 @@
+const Ajv = require('ajv');
+const _ = require('lodash');
+const {getInstanceId} = require('../utils');
+const {countEventMessage} = require('../metrics');
+const DEAD_LETTER_CHANNEL = process.env.DEAD_LETTER_CHANNEL || 'dead-letter';
+const LEGACY_VERSION = 1;
+
+/**
+ * @module messages
+ *
+ * Parses the messages that are published to the redis channels of event packages.
+ *
+ * A message is a JSON object with a version field, e.g. {"version": 1, "aor": "daveh@drachtio.org", ...},
+ * which is checked against the JSON schema the package provides for that version (see lib/events/schemas).
+ * A message that does not start with '{' is in the package's original space-separated format;
+ * it is converted to an object by the package and checked against the schema for version 1.
+ *
+ * A message that can not be parsed or does not match its schema is published to the redis channel
+ * DEAD_LETTER_CHANNEL (default 'dead-letter') as {channel, message, reason, instance, receivedAt}.
+ */
+
+const ajv = new Ajv({allErrors: true});
+
+const describeErrors = (errors) => {
+  return errors.map((e) => {
+    const field = e.dataPath ? e.dataPath.replace(/^\./, '') : 'message';
+    const extra = e.params && e.params.additionalProperty ? ` (${e.params.additionalProperty})` : '';
+    return `${field} ${e.message}${extra}`;
+  }).join('; ');
+};
+
+/**
+ * Create a parser for the messages of an event package
+ * @param {Object} schemas - JSON schema of each supported version, keyed by version number
+ * @param {Function} parseLegacy - converts the fields of a message in the original format to an object
+ * @returns {Function} parser that returns the message (without its version and messageId), or throws an Error giving
+ * the reason
+ */
+const createMessageParser = (schemas, parseLegacy) => {
+  const validators = _.mapValues(schemas, (schema) => ajv.compile(schema));
+
+  return (msg) => {
+    let obj;
+    if (msg.trim().startsWith('{')) {
+      try {
+        obj = JSON.parse(msg);
+      } catch (err) {
+        throw new Error(`invalid JSON: ${err.message}`);
+      }
+    }
+    else {
+      obj = Object.assign({version: LEGACY_VERSION}, _.omitBy(parseLegacy(msg.trim().split(/\s+/)), _.isNil));
+    }
+
+    const validate = validators[obj.version];
+    if (!validate) throw new Error(`unsupported version ${obj.version}`);
+    if (!validate(obj)) throw new Error(describeErrors(validate.errors));
+    return _.omit(obj, ['version', 'messageId']);
+  };
+};
+
+/**
+ * Parse a message received on a redis channel, sending it to the dead-letter channel if it is invalid
+ * @returns {Object} the message, or nothing if it was invalid
+ */
+const receiveMessage = async(logger, client, channel, msg, parse) => {
+  try {
+    const message = parse(msg);
+    countEventMessage(channel, false);
+    return message;
+  } catch (err) {
+    countEventMessage(channel, true);
+    logger.info(`discarding invalid message on channel ${channel}: ${err.message}: ${msg}`);
+    try {
+      await client.publishAsync(DEAD_LETTER_CHANNEL, JSON.stringify({
+        channel,
+        message: msg,
+        reason: err.message,
+        instance: getInstanceId(),
+        receivedAt: new Date().toISOString()
+      }));
+    } catch (err) {
+      logger.error({err}, `messages#receiveMessage: Error publishing to ${DEAD_LETTER_CHANNEL}`);
+    }
+  }
+};
+
+module.exports = {
+  createMessageParser,
+  receiveMessage
+};
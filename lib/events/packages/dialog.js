@@ -1,11 +1,16 @@
 const bluebird = require('bluebird');
 const redis = require('redis');
+const _ = require('lodash');
 bluebird.promisifyAll(redis.RedisClient.prototype);
 bluebird.promisifyAll(redis.Multi.prototype);
-const short = require('short-uuid');
-const translator = short();
-const {generateETag} = require('../../utils');
+const {generateETag, escapeXml} = require('../../utils');
+const {sendNotify} = require('../../notifier');
+const {createMessageParser, receiveMessage} = require('../messages');
+const {tenantKey} = require('../../tenants');
+const CHANNEL = 'dialog';
 const MAX_CALL_LENGTH = 60 * 60 * 3; //3 hrs
+const XML_CONTENT_TYPE = 'application/dialog-info+xml';
+const JSON_CONTENT_TYPE = 'application/dialog-info+json';
 
 /**
  * Data model:
@@ -20,8 +25,12 @@ const MAX_CALL_LENGTH = 60 * 60 * 3; //3 hrs
  *
  *
  * 1. Dialog info.
- * For each active call we maintain a key that has an associated hash of data
- * for the call: dialog id, call state, direction, call-id, local and remote tag.
+ * For each aor we maintain a set of the ids of its active dialogs, keyed by dlgs:${aor},
+ * and for each of those dialogs a key that has an associated hash of data for the call:
+ * dialog id, call state, direction, call-id, local and remote tag, the time it started and,
+ * when known, the other fields of RFC 4235: state event and code, local and remote identity
+ * (and display name) and target, the dialog it replaces and the referrer.
+ * A terminated dialog is reported to subscribers once (in a partial NOTIFY) and then removed.
  *
  * 2. Subscribed aors
  * We maintain a key for each aor that has at least one active subscription.
@@ -29,46 +38,94 @@ const MAX_CALL_LENGTH = 60 * 60 * 3; //3 hrs
  * provides a key to the structure below.
  *
  * 3. Active subscription
- * We maintain a key for each active subscription (subscriber-to-subscribed-aor pair).
- * The value is a hash of data that is needed to send a NOTIFY to the subscriber.
+ * We maintain a key for each active subscription, keyed by the subscriber, the subscribed aor, the Call-ID of the
+ * SUBSCRIBE dialog and the id parameter of its Event header (if any), so that several devices of one subscriber
+ * (e.g. a desk phone and a softphone watching the same line) have independent subscriptions.
+ * The value is a hash of data that is needed to send a NOTIFY to the subscriber,
+ * including the count of dialog-info documents sent, which is used as the version of the next one,
+ * and the content type negotiated for the subscription.  The key expires with the subscription.
  *
+ * 4. Content types
+ * The dialog-info document is sent as application/dialog-info+xml (RFC 4235), or, to subscribers that
+ * prefer it (e.g. WebRTC clients), as an application/dialog-info+json object with the same content:
+ *   {"version": 3, "state": "partial", "entity": "daveh@drachtio.org", "dialogs": [{"id": "...",
+ *    "callId": "...", "direction": "initiator", "state": "confirmed", "duration": 12,
+ *    "local": {"identity": "...", "display": "...", "target": "..."}, "remote": {...}}]}
+ * where fields that are not known are omitted.
  */
 
-const makeDialogInfoKey = (aor) => `dlg-info:$${aor}`;
-const makeSubscriptionName = (subscriber, resource) => `dlg-sub:${subscriber}-${resource}`;
-const makeSubscribedResourceKey = (resource) => `watched-aor:${resource}`;
+const makeDialogInfoKey = (aor, id) => tenantKey(aor, `dlg-info:${aor}:${id}`);
+const makeDialogsKey = (aor) => tenantKey(aor, `dlgs:${aor}`);
+const makeSubscriptionName = ({subscriber, resource, callId, id}) => {
+  return tenantKey(resource, `dlg-sub:${subscriber}-${resource}:${callId}${id ? `:${id}` : ''}`);
+};
+const makeSubscribedResourceKey = (resource) => tenantKey(resource, `watched-aor:${resource}`);
 
-const dialogGetEventState = async(logger, client, pubsub, subscriber, resource) => {
+/**
+ * Retrieve the info of all of the active dialogs of an aor
+ */
+const getDialogs = async(logger, client, aor) => {
+  const key = makeDialogsKey(aor);
+  const ids = await client.smembersAsync(key);
+  const dialogs = [];
+  for (const id of ids) {
+    const dialogInfo = await client.hgetallAsync(makeDialogInfoKey(aor, id));
+    if (dialogInfo) dialogs.push(dialogInfo);
+    else {
+      /* the call outlived MAX_CALL_LENGTH, or we never heard that it ended */
+      client.sremAsync(key, id)
+        .catch((err) => logger.error({err}, `dialog#getDialogs: Error removing ${id} from set ${key}`));
+    }
+  }
+  return dialogs;
+};
 
-  const key = makeDialogInfoKey(resource);
-  const subKey = makeSubscriptionName(subscriber, resource);
+/**
+ * A message on the dialog channel is a JSON object as described by lib/events/schemas/dialog-v1.json, or
+ *   ${aor} ${dialog id} ${call-id} ${local tag} ${remote tag} ${direction} ${state}
+ * with 'undef' for a tag that is not known, and a state of 'rejected' or 'cancelled' for a call that
+ * was terminated for that reason.
+ */
+const parseMessage = createMessageParser({1: require('../schemas/dialog-v1.json')}, (fields) => {
+  const [aor, id, callId, localTag, remoteTag, direction, state] = fields.map((f) => ('undef' === f ? undefined : f));
+  if (['rejected', 'cancelled'].includes(state)) {
+    return {aor, id, callId, localTag, remoteTag, direction, state: 'terminated', event: state};
+  }
+  return {aor, id, callId, localTag, remoteTag, direction, state};
+});
+
+const dialogGetEventState = async(logger, client, pubsub, subscriber, resource, contentType, obj) => {
+
+  /* e.g. a member of a resource list, which has no subscription of its own; the list keeps its version */
+  const subKey = obj && obj.callId ? makeSubscriptionName(Object.assign({}, obj, {subscriber, resource})) : null;
   try {
-    const dialogInfo = await client.hgetallAsync(key);
-    const subscriptionData = await client.hgetallAsync(subKey);
+    const dialogs = await getDialogs(logger, client, resource);
+    let subscriptionData = subKey ? await client.hgetallAsync(subKey) : null;
     if (!subscriptionData) {
-      logger.info(`dialog#dialogGetEventState: Error subscription not found: ${subKey}`);
-    }
-    else {
-      const content = makeXmlContent(subscriptionData, dialogInfo);
-      logger.info({content, subscriptionData}, `dialog#dialogGetEventState: subscription data for ${subKey}`);
-
-      return {
-        aor: resource,
-        etag: subscriptionData.etag,
-        eventType: 'dialog',
-        contentType: 'application/dialog-info+xml',
-        content
-      };
+      if (subKey) logger.info(`dialog#dialogGetEventState: subscription not found: ${subKey}`);
+      subscriptionData = {aor: resource, count: obj && undefined !== obj.version ? obj.version : 0};
     }
+    else subscriptionData.count = await client.hincrbyAsync(subKey, 'count', 1) - 1;
+    const type = contentType || subscriptionData.contentType || XML_CONTENT_TYPE;
+    const content = makeContent(type, subscriptionData, dialogs, true);
+    logger.info({content, subscriptionData}, `dialog#dialogGetEventState: subscription data for ${subKey || resource}`);
+
+    return {
+      aor: resource,
+      etag: subscriptionData.etag,
+      eventType: 'dialog',
+      contentType: type,
+      content
+    };
   } catch (err) {
     logger.error({err}, `dialog#dialogGetEventState: Error retrieving event state of: ${resource} for ${subscriber}`);
   }
 };
 
 const dialogAddSubscription = async(logger, client, pubsub, dlg, obj, expiry) => {
-  const {subscriber, resource} = obj;
+  const {resource} = obj;
 
-  const subscriptionName = makeSubscriptionName(subscriber, resource);
+  const subscriptionName = makeSubscriptionName(obj);
   const key = makeSubscribedResourceKey(resource);
   try {
     // if we were not previously watching this aor, we are now
@@ -78,12 +135,13 @@ const dialogAddSubscription = async(logger, client, pubsub, dlg, obj, expiry) =>
     // save the subscription data
     const subscriptionData = {
       aor: resource,
-      dialogId: `${dlg.sip.callId};from-tag=${dlg.sip.remoteTag}`,
+      dialogId: dlg.id,
       count: 0,
       etag: generateETag(),
-      id: translator.new(),
-      notifyType: 'sip'
+      notifyType: obj.notifyType || 'sip'
     };
+    if (obj.id) subscriptionData.id = obj.id;
+    if (obj.contentType) subscriptionData.contentType = obj.contentType;
     logger.info({subscriptionData}, `dialogAddSubscription: adding dialoginfo for ${subscriptionName}`);
     const response = await client.multi()
       .hmset(subscriptionName, subscriptionData)
@@ -96,9 +154,22 @@ const dialogAddSubscription = async(logger, client, pubsub, dlg, obj, expiry) =>
   }
 };
 
+const dialogGetVersion = async(logger, client, pubsub, obj) => {
+  const count = await client.hgetAsync(makeSubscriptionName(obj), 'count');
+  return null === count || 0 === parseInt(count) ? null : parseInt(count) - 1;
+};
+
+/**
+ * Extend a subscription, keeping its data (e.g. the count of dialog-info documents sent, which gives their version)
+ * @returns {Boolean} true if the subscription was found
+ */
+const dialogRefreshSubscription = async(logger, client, pubsub, obj, expiry) => {
+  return 1 === await client.expireAsync(makeSubscriptionName(obj), expiry);
+};
+
 const dialogRemoveSubscription = async(logger, client, pubsub, obj) => {
-  const {subscriber, resource} = obj;
-  const subscriptionName = makeSubscriptionName(subscriber, resource);
+  const {resource} = obj;
+  const subscriptionName = makeSubscriptionName(obj);
   const key = makeSubscribedResourceKey(resource);
   try {
     let response = await client.sremAsync(key, subscriptionName);
@@ -111,14 +182,14 @@ const dialogRemoveSubscription = async(logger, client, pubsub, obj) => {
   }
 };
 
-module.exports = function(logger, client, srf) {
+module.exports = function(logger, client, srf, emitter) {
   const pubsub = client.duplicate();
   pubsub.on('connect', () => {
     pubsub.on('subscribe', (channel, count) => {
       logger.info(`successfully subscribed to channel ${channel}, count is ${count}`);
     });
-    pubsub.on('message', onMessage.bind(null, logger, srf, client));
-    pubsub.subscribe('dialog');
+    pubsub.on('message', onMessage.bind(null, logger, srf, client, emitter));
+    pubsub.subscribe(CHANNEL);
   })
     .on('error', (err) => {
       logger.error(err, 'Error connecting to redis for pubsub') ;
@@ -127,41 +198,57 @@ module.exports = function(logger, client, srf) {
   return {
     getEventState: dialogGetEventState.bind(null, logger, client, pubsub),
     addSubscription: dialogAddSubscription.bind(null, logger, client, pubsub),
-    removeSubscription: dialogRemoveSubscription.bind(null, logger, client, pubsub)
+    refreshSubscription: dialogRefreshSubscription.bind(null, logger, client, pubsub),
+    removeSubscription: dialogRemoveSubscription.bind(null, logger, client, pubsub),
+    getVersion: dialogGetVersion.bind(null, logger, client, pubsub),
+    disconnect: () => pubsub.quitAsync(),
+    channels: [CHANNEL],
+    contentTypes: [XML_CONTENT_TYPE, JSON_CONTENT_TYPE],
+    defaultExpiry: 3600
   };
 };
 
-const onMessage = async(logger, srf, client, channel, msg) => {
-  const [aor, id, callId, lTag, rTag, direction, state] = msg.split(' ');
-  logger.info(`got dialog event: ${aor} ${callId} ${lTag} ${rTag} ${direction} ${state}`);
+const onMessage = async(logger, srf, client, emitter, channel, msg) => {
+  const {cluster} = srf.locals;
+  if (cluster && !await cluster.claimEvent(channel, msg)) return;
 
-  const localTag = 'undef' === lTag ? undefined : lTag;
-  const remoteTag = 'undef' === rTag ? undefined : rTag;
+  let dialogInfo = await receiveMessage(logger, client, channel, msg, parseMessage);
+  if (!dialogInfo) return;
+  const {aor, id, state} = dialogInfo;
+  delete dialogInfo.aor;
+  logger.info(dialogInfo, `got dialog event for ${aor}`);
 
-  /* add / update dialog info */
-  const key = makeDialogInfoKey(aor);
-  if (['terminated', 'rejected', 'cancelled'].includes(state)) {
-    client.delAsync(key)
-      .catch((err) => logger.info({err}, `dialog#onMessage: Error deleting ${key}`));
+  /* add / update / remove dialog info; what we already know about the dialog is kept unless it has changed */
+  const key = makeDialogInfoKey(aor, id);
+  const dialogsKey = makeDialogsKey(aor);
+  try {
+    const existing = await client.hgetallAsync(key);
+    dialogInfo = Object.assign({startedAt: Date.now()}, existing, dialogInfo);
+    if ('terminated' === state) {
+      await client.multi()
+        .srem(dialogsKey, id)
+        .del(key)
+        .execAsync();
+    }
+    else {
+      const response = await client.multi()
+        .sadd(dialogsKey, id)
+        .expire(dialogsKey, MAX_CALL_LENGTH)
+        .hmset(key, dialogInfo)
+        .expire(key, MAX_CALL_LENGTH)
+        .execAsync();
+      logger.info({response, dialogInfo, aor}, 'dialog#onMessage: response from adding dialog-info');
+    }
+  } catch (err) {
+    logger.info({err, dialogInfo, aor}, 'dialog#onMessage: Error updating dialog-info');
   }
-  else {
-    const dialogInfo = {
-      id,
-      direction,
-      state,
-      callId
-    };
-    if (localTag) dialogInfo.localTag = localTag;
-    if (remoteTag) dialogInfo.remoteTag = remoteTag;
-    client.multi()
-      .hmset(key, dialogInfo)
-      .expire(key, MAX_CALL_LENGTH)
-      .execAsync()
-      .then((response) => {
-        return logger.info({response, dialogInfo, aor}, 'dialog#onMessage: response from adding dialog-info');
-      })
-      .catch((err) => logger.info({err, dialogInfo, aor}, 'dialog#onMessage: Error adding dialog-info'))
-    ;
+  if (emitter) {
+    emitter.emit('stateChange', {
+      eventType: 'dialog',
+      aor,
+      source: channel,
+      change: _.pick(dialogInfo, ['id', 'callId', 'direction', 'state', 'event', 'code', 'remoteIdentity'])
+    });
   }
 
   // is anyone subscribed to this resource / aor?
@@ -180,19 +267,16 @@ const onMessage = async(logger, srf, client, channel, msg) => {
             .catch((err) => logger.error({err}, `dialog#onMessage: Error removing ${subscription} from set ${key}`));
         }
         else {
-          const {dialogId} = subscriptionData;
-          const body = makeXmlContent(subscriptionData, {aor, id, callId, localTag, remoteTag, direction, state});
-          const req = await srf.request('sip:placeholder', {
-            stackDialogId: dialogId,
-            method: 'NOTIFY',
-            headers: {
-              'Subscription-State': 'active',
-              'Content-Type': 'application/dialog-info+xml',
-            },
-            body
-          });
-          req.on('response', (res) => {
-            if (200 !== res.status) logger.info(`received status ${res.status} to NOTIFY`);
+          const contentType = subscriptionData.contentType || XML_CONTENT_TYPE;
+          await sendNotify(logger, srf, subscriptionData, {
+            eventType: 'dialog',
+            contentType,
+            /* only the dialog that changed, unless several changes have been merged into one NOTIFY */
+            render: async(fullState) => {
+              subscriptionData.count = await client.hincrbyAsync(subscription, 'count', 1) - 1;
+              const dialogs = fullState ? await getDialogs(logger, client, aor) : [dialogInfo];
+              return {body: makeContent(contentType, subscriptionData, dialogs, fullState)};
+            }
           });
         }
       } catch (err) {
@@ -204,37 +288,53 @@ const onMessage = async(logger, srf, client, channel, msg) => {
   }
 };
 
-const makeXmlContent = (subscriptionData, dialogInfo) => {
-  dialogInfo = dialogInfo || {};
-  const {aor, id, callId, localTag, remoteTag, direction, state} = dialogInfo;
-  let dialog = '';
-  const entity = aor || subscriptionData.aor;
-
-  if (id) {
-    if (remoteTag && localTag) {
-      /* eslint-disable-next-line max-len */
-      dialog = `<dialog id="${id}" call-id="${callId}" local-tag="${localTag}" remote-tag="${remoteTag}" direction="${direction}"><state>${state}</state></dialog>`;
-    }
-    else if (remoteTag) {
-      /* eslint-disable-next-line max-len */
-      dialog = `<dialog id="${id}" call-id="${callId}" remote-tag="${remoteTag}" direction="${direction}"><state>${state}</state></dialog>`;
-    }
-    else if (localTag) {
-      /* eslint-disable-next-line max-len */
-      dialog = `<dialog id="${id}" call-id="${callId}" local-tag="${localTag}" direction="${direction}"><state>${state}</state></dialog>`;
+const makeContent = (contentType, subscriptionData, dialogs, fullState) => {
+  if (JSON_CONTENT_TYPE === contentType) return makeJsonContent(subscriptionData, dialogs, fullState);
+  return makeXmlContent(subscriptionData, dialogs, fullState);
+};
 
-    }
-    else {
-      dialog = `<dialog id="${id}" call-id="${callId}" direction="${direction}"><state>${state}</state></dialog>`;
-    }
-  }
+const makeJsonContent = (subscriptionData, dialogs, fullState) => {
+  return JSON.stringify({
+    version: parseInt(subscriptionData.count),
+    state: fullState ? 'full' : 'partial',
+    entity: subscriptionData.aor,
+    dialogs: dialogs.map((dialogInfo) => {
+      const {id, callId, localTag, remoteTag, direction, state, event, code, startedAt} = dialogInfo;
+      const party = (name) => {
+        const obj = _.omitBy({
+          identity: dialogInfo[`${name}Identity`],
+          display: dialogInfo[`${name}Display`],
+          target: dialogInfo[`${name}Target`]
+        }, _.isNil);
+        return _.isEmpty(obj) ? undefined : obj;
+      };
+      const replaces = dialogInfo.replacesCallId ? {
+        callId: dialogInfo.replacesCallId,
+        localTag: dialogInfo.replacesLocalTag,
+        remoteTag: dialogInfo.replacesRemoteTag
+      } : undefined;
+      const referredBy = dialogInfo.referredBy ?
+        _.omitBy({uri: dialogInfo.referredBy, display: dialogInfo.referredByDisplay}, _.isNil) : undefined;
+      return _.omitBy({
+        id, callId, localTag, remoteTag, direction, state, event,
+        code: code ? parseInt(code) : undefined,
+        duration: startedAt ? Math.round((Date.now() - parseInt(startedAt)) / 1000) : undefined,
+        replaces: replaces ? _.omitBy(replaces, _.isNil) : undefined,
+        referredBy,
+        local: party('local'),
+        remote: party('remote')
+      }, _.isNil);
+    })
+  });
+};
 
+const makeXmlContent = (subscriptionData, dialogs, fullState) => {
   const content = `<?xml version="1.0"?>
 <dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" 
-   version="${subscriptionData.count++}" 
-   state="full" 
-   entity="${entity}">
-   ${dialog}
+   version="${subscriptionData.count}" 
+   state="${fullState ? 'full' : 'partial'}" 
+   entity="${escapeXml(subscriptionData.aor)}">
+${dialogs.map((d) => `   ${makeDialogElement(d)}`).join('\n')}
 </dialog-info>
 
 `;
@@ -242,3 +342,45 @@ const makeXmlContent = (subscriptionData, dialogInfo) => {
   return content;
 };
 
+const makeDialogElement = (dialogInfo) => {
+  const {id, callId, localTag, remoteTag, direction, state, event, code, startedAt} = dialogInfo;
+  const attrs = makeAttributes({'id': id, 'call-id': callId, 'local-tag': localTag,
+    'remote-tag': remoteTag, 'direction': direction});
+  const children = [];
+
+  children.push(`<state${makeAttributes({event, code})}>${escapeXml(state)}</state>`);
+
+  if (startedAt) children.push(`<duration>${Math.round((Date.now() - parseInt(startedAt)) / 1000)}</duration>`);
+  if (dialogInfo.replacesCallId) {
+    children.push(`<replaces${makeAttributes({
+      'call-id': dialogInfo.replacesCallId,
+      'local-tag': dialogInfo.replacesLocalTag,
+      'remote-tag': dialogInfo.replacesRemoteTag
+    })}/>`);
+  }
+  if (dialogInfo.referredBy) {
+    children.push(`<referred-by${makeAttributes({display: dialogInfo.referredByDisplay})}>` +
+      `${escapeXml(dialogInfo.referredBy)}</referred-by>`);
+  }
+  ['local', 'remote'].forEach((party) => {
+    const identity = dialogInfo[`${party}Identity`];
+    const target = dialogInfo[`${party}Target`];
+    if (!identity && !target) return;
+    const parts = [];
+    if (identity) {
+      parts.push(`<identity${makeAttributes({display: dialogInfo[`${party}Display`]})}>` +
+        `${escapeXml(identity)}</identity>`);
+    }
+    if (target) parts.push(`<target${makeAttributes({uri: target})}/>`);
+    children.push(`<${party}>${parts.join('')}</${party}>`);
+  });
+
+  return `<dialog${attrs}>${children.join('')}</dialog>`;
+};
+
+const makeAttributes = (obj) => {
+  return Object.keys(obj)
+    .filter((name) => obj[name] !== undefined && obj[name] !== null && obj[name] !== '')
+    .map((name) => ` ${name}="${escapeXml(obj[name])}"`)
+    .join('');
+};
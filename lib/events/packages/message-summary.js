@@ -0,0 +1,206 @@
+const {sendNotify} = require('../../notifier');
+const {createMessageParser, receiveMessage} = require('../messages');
+const {tenantKey} = require('../../tenants');
+
+/**
+ * Data model:
+ *
+ * The message-summary event package is described at https://tools.ietf.org/html/rfc3842
+ *
+ * A voicemail platform publishes message counts for a mailbox to the 'message-summary' redis channel,
+ * and we notify subscribers (typically phones that light a message waiting lamp) of the current counts.
+ * A message is a JSON object as described by lib/events/schemas/message-summary-v1.json, e.g.
+ *
+ *   {"version": 1, "aor": "daveh@drachtio.org", "newMessages": 2, "oldMessages": 8}
+ *
+ * or is in the original format:
+ *
+ *   ${aor} ${new} ${old} [${new urgent} ${old urgent}]
+ *
+ * e.g. "daveh@drachtio.org 2 8 0 2"
+ *
+ * 1. Mailbox state
+ * For each mailbox we maintain a key that has an associated hash of message counts:
+ * newMessages, oldMessages, newUrgentMessages and oldUrgentMessages.
+ *
+ * 2. Watched mailboxes
+ * We maintain a key for each mailbox that has at least one active subscription.
+ * The value is a set of subscriptions, where each element in the set
+ * provides a key to the structure below.
+ *
+ * 3. Active subscription
+ * We maintain a key for each active subscription, keyed (as in the dialog package) by the subscriber, the mailbox,
+ * the Call-ID of the SUBSCRIBE dialog and the id parameter of its Event header (if any).
+ * The value is a hash of data that is needed to send a NOTIFY to the subscriber.
+ */
+
+const CHANNEL = 'message-summary';
+const CONTENT_TYPE = 'application/simple-message-summary';
+
+const parseMessage = createMessageParser({1: require('../schemas/message-summary-v1.json')}, (fields) => {
+  const [aor, ...values] = fields;
+  const [newMessages, oldMessages, newUrgentMessages, oldUrgentMessages] =
+    values.map((v) => (/^\d+$/.test(v) ? parseInt(v) : v));
+  return {aor, newMessages, oldMessages, newUrgentMessages, oldUrgentMessages};
+});
+
+const makeMailboxKey = (aor) => tenantKey(aor, `mwi:${aor}`);
+const makeSubscriptionName = ({subscriber, resource, callId, id}) => {
+  return tenantKey(resource, `mwi-sub:${subscriber}-${resource}:${callId}${id ? `:${id}` : ''}`);
+};
+const makeSubscribedResourceKey = (resource) => tenantKey(resource, `watched-mwi:${resource}`);
+
+const mwiGetEventState = async(logger, client, pubsub, subscriber, resource) => {
+  const key = makeMailboxKey(resource);
+  try {
+    const counts = await client.hgetallAsync(key);
+    return {
+      aor: resource,
+      eventType: 'message-summary',
+      contentType: CONTENT_TYPE,
+      content: makeMessageSummary(resource, counts)
+    };
+  } catch (err) {
+    logger.error({err}, `message-summary#mwiGetEventState: Error retrieving mailbox ${resource} for ${subscriber}`);
+  }
+};
+
+const mwiAddSubscription = async(logger, client, pubsub, dlg, obj, expiry) => {
+  const {subscriber, resource} = obj;
+
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const subscriptionData = {
+      subscriber,
+      aor: resource,
+      eventType: 'message-summary',
+      dialogId: dlg.id,
+      notifyType: obj.notifyType || 'sip'
+    };
+    if (obj.id) subscriptionData.id = obj.id;
+
+    logger.info({subscriptionData}, `mwiAddSubscription: adding subscription ${subscriptionName}`);
+    const response = await client.multi()
+      .sadd(key, subscriptionName)
+      .hmset(subscriptionName, subscriptionData)
+      .expire(subscriptionName, expiry)
+      .execAsync();
+    logger.info({response}, `mwiAddSubscription: added subscription ${subscriptionName}`);
+    return subscriptionData;
+  } catch (err) {
+    logger.error({err}, `mwiAddSubscription: error adding subscription ${subscriptionName}`);
+  }
+};
+
+/**
+ * Extend a subscription, keeping its data (e.g. how its NOTIFYs are delivered)
+ * @returns {Boolean} true if the subscription was found
+ */
+const mwiRefreshSubscription = async(logger, client, pubsub, obj, expiry) => {
+  return 1 === await client.expireAsync(makeSubscriptionName(obj), expiry);
+};
+
+const mwiRemoveSubscription = async(logger, client, pubsub, obj) => {
+  const {resource} = obj;
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const response = await client.multi()
+      .srem(key, subscriptionName)
+      .del(subscriptionName)
+      .execAsync();
+    logger.info({response}, `mwiRemoveSubscription: removed subscription ${subscriptionName}`);
+  } catch (err) {
+    logger.error({err}, `mwiRemoveSubscription: error removing subscription ${subscriptionName}`);
+  }
+};
+
+module.exports = function(logger, client, srf, emitter) {
+  const pubsub = client.duplicate();
+  pubsub.on('connect', () => {
+    pubsub.on('subscribe', (channel, count) => {
+      logger.info(`successfully subscribed to channel ${channel}, count is ${count}`);
+    });
+    pubsub.on('message', onMessage.bind(null, logger, srf, client, emitter));
+    pubsub.subscribe(CHANNEL);
+  })
+    .on('error', (err) => {
+      logger.error(err, 'Error connecting to redis for pubsub') ;
+    });
+
+  return {
+    getEventState: mwiGetEventState.bind(null, logger, client, pubsub),
+    addSubscription: mwiAddSubscription.bind(null, logger, client, pubsub),
+    refreshSubscription: mwiRefreshSubscription.bind(null, logger, client, pubsub),
+    removeSubscription: mwiRemoveSubscription.bind(null, logger, client, pubsub),
+    disconnect: () => pubsub.quitAsync(),
+    channels: [CHANNEL],
+    contentTypes: [CONTENT_TYPE],
+    defaultExpiry: 3600
+  };
+};
+
+const onMessage = async(logger, srf, client, emitter, channel, msg) => {
+  const {cluster} = srf.locals;
+  if (cluster && !await cluster.claimEvent(channel, msg)) return;
+
+  const message = await receiveMessage(logger, client, channel, msg, parseMessage);
+  if (!message) return;
+  logger.info(`got message-summary event: ${msg}`);
+
+  /* update mailbox counts */
+  const {aor, newMessages, oldMessages, newUrgentMessages = 0, oldUrgentMessages = 0} = message;
+  const counts = {newMessages, oldMessages, newUrgentMessages, oldUrgentMessages};
+  try {
+    await client.hmsetAsync(makeMailboxKey(aor), counts);
+  } catch (err) {
+    logger.error({err, counts, aor}, 'message-summary#onMessage: Error updating mailbox');
+  }
+  if (emitter) emitter.emit('stateChange', {eventType: 'message-summary', aor, source: channel, change: counts});
+
+  // is anyone subscribed to this mailbox?
+  try {
+    const key = makeSubscribedResourceKey(aor);
+    const subscriptions = await client.smembersAsync(key);
+    logger.info({subscriptions}, `message-summary#onMessage: retrieved subscriptions for ${key}`);
+
+    const body = makeMessageSummary(aor, counts);
+    for (const subscription of subscriptions) {
+      try {
+        const subscriptionData = await client.hgetallAsync(subscription);
+        if (!subscriptionData) {
+          logger.info(`message-summary#onMessage: subscription not found: ${subscription}; probably expired`);
+          client.sremAsync(key, subscription)
+            .catch((err) => logger.error({err}, `message-summary#onMessage: Error removing ${subscription}`));
+        }
+        else {
+          await sendNotify(logger, srf, subscriptionData, {
+            eventType: 'message-summary',
+            contentType: CONTENT_TYPE,
+            body
+          });
+        }
+      } catch (err) {
+        logger.error({err}, `message-summary#onMessage Error notifying subscription ${subscription}`);
+      }
+    }
+  } catch (err) {
+    logger.error({err}, 'message-summary#onMessage Error notifying subscribers');
+  }
+};
+
+const makeMessageSummary = (aor, counts) => {
+  counts = counts || {};
+  const newMessages = parseInt(counts.newMessages) || 0;
+  const oldMessages = parseInt(counts.oldMessages) || 0;
+  const newUrgentMessages = parseInt(counts.newUrgentMessages) || 0;
+  const oldUrgentMessages = parseInt(counts.oldUrgentMessages) || 0;
+
+  return [
+    `Messages-Waiting: ${newMessages > 0 ? 'yes' : 'no'}`,
+    `Message-Account: sip:${aor}`,
+    `Voice-Message: ${newMessages}/${oldMessages} (${newUrgentMessages}/${oldUrgentMessages})`,
+    ''
+  ].join('\r\n');
+};
@@ -0,0 +1,193 @@
+/**
+ * Data model:
+ *
+ * The presence event package is described at https://tools.ietf.org/html/rfc3856
+ *
+ * Presence state is published to us by user agents (see lib/publish.js) as PIDF documents
+ * (https://tools.ietf.org/html/rfc3863), and we notify subscribers (watchers) of the latest
+ * document published for a presentity.
+ *
+ * 1. Presence state
+ * The published PIDF document is stored as event state by RedisDb#addEventState,
+ * in a hash keyed by es:${aor}:presence.  If no document has been published for an aor
+ * (or the publication has expired) we return a default document with a basic status of "closed".
+ * Watchers that do not accept PIDF (older phones) are sent the basic status of the presentity
+ * as an application/xpidf+xml document instead.
+ *
+ * 2. Watched aors
+ * We maintain a key for each presentity that has at least one active subscription.
+ * The value is a set of subscriptions, where each element in the set
+ * provides a key to the structure below.
+ *
+ * 3. Active subscription
+ * We maintain a key for each active subscription, keyed (as in the dialog package) by the watcher, the presentity,
+ * the Call-ID of the SUBSCRIBE dialog and the id parameter of its Event header (if any).
+ * The value is a hash of data that is needed to send a NOTIFY to the watcher,
+ * including the content type negotiated for the subscription.
+ */
+
+const debug = require('debug')('drachtio:presence-agent');
+const {escapeXml} = require('../../utils');
+const {tenantKey} = require('../../tenants');
+const PIDF_CONTENT_TYPE = 'application/pidf+xml';
+const XPIDF_CONTENT_TYPE = 'application/xpidf+xml';
+
+const makePresenceStateKey = (aor) => tenantKey(aor, `es:${aor}:presence`);
+const makeSubscriptionName = ({subscriber, resource, callId, id}) => {
+  return tenantKey(resource, `pres-sub:${subscriber}-${resource}:${callId}${id ? `:${id}` : ''}`);
+};
+const makeSubscribedResourceKey = (resource) => tenantKey(resource, `watched-pres:${resource}`);
+
+const presenceGetEventState = async(logger, client, subscriber, resource, contentType) => {
+  const key = makePresenceStateKey(resource);
+  try {
+    const state = await client.hgetallAsync(key);
+    let eventState;
+    if (state && state.content && state.contentType === PIDF_CONTENT_TYPE) {
+      debug(`presence#presenceGetEventState: published state for ${resource}: ${JSON.stringify(state)}`);
+      eventState = {
+        aor: resource,
+        etag: state.etag,
+        eventType: 'presence',
+        contentType: PIDF_CONTENT_TYPE,
+        content: state.content
+      };
+    }
+    else {
+      if (state) {
+        logger.info(`presence#presenceGetEventState: ignoring published state of type ${state.contentType}`);
+      }
+      eventState = {
+        aor: resource,
+        eventType: 'presence',
+        contentType: PIDF_CONTENT_TYPE,
+        content: makeDefaultPidf(resource)
+      };
+    }
+    if (XPIDF_CONTENT_TYPE === contentType) {
+      return Object.assign(eventState, {
+        contentType: XPIDF_CONTENT_TYPE,
+        content: makeXpidf(resource, eventState.content)
+      });
+    }
+    return eventState;
+  } catch (err) {
+    logger.error({err}, `presence#presenceGetEventState: Error retrieving presence of: ${resource} for ${subscriber}`);
+  }
+};
+
+const presenceAddSubscription = async(logger, client, dlg, obj, expiry) => {
+  const {subscriber, resource} = obj;
+
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const subscriptionData = {
+      subscriber,
+      aor: resource,
+      eventType: 'presence',
+      dialogId: dlg.id,
+      notifyType: obj.notifyType || 'sip'
+    };
+    if (obj.id) subscriptionData.id = obj.id;
+    if (obj.contentType) subscriptionData.contentType = obj.contentType;
+
+    logger.info({subscriptionData}, `presenceAddSubscription: adding subscription ${subscriptionName}`);
+    const response = await client.multi()
+      .sadd(key, subscriptionName)
+      .hmset(subscriptionName, subscriptionData)
+      .expire(subscriptionName, expiry)
+      .execAsync();
+    logger.info({response}, `presenceAddSubscription: added subscription ${subscriptionName}`);
+    return subscriptionData;
+  } catch (err) {
+    logger.error({err}, `presenceAddSubscription: error adding subscription ${subscriptionName}`);
+  }
+};
+
+/**
+ * Extend a subscription, keeping its data (e.g. the content type negotiated for it)
+ * @returns {Boolean} true if the subscription was found
+ */
+const presenceRefreshSubscription = async(logger, client, obj, expiry) => {
+  return 1 === await client.expireAsync(makeSubscriptionName(obj), expiry);
+};
+
+const presenceRemoveSubscription = async(logger, client, obj) => {
+  const {resource} = obj;
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const response = await client.multi()
+      .srem(key, subscriptionName)
+      .del(subscriptionName)
+      .execAsync();
+    logger.info({response}, `presenceRemoveSubscription: removed subscription ${subscriptionName}`);
+  } catch (err) {
+    logger.error({err}, `presenceRemoveSubscription: error removing subscription ${subscriptionName}`);
+  }
+};
+
+/**
+ * Return the data for all active subscriptions to a presentity;
+ * subscriptions that have expired are removed from the set of watchers
+ */
+const presenceFindSubscriptions = async(logger, client, resource) => {
+  const key = makeSubscribedResourceKey(resource);
+  const subscriptions = [];
+  const names = await client.smembersAsync(key);
+  for (const name of names) {
+    const subscriptionData = await client.hgetallAsync(name);
+    if (!subscriptionData) {
+      logger.info(`presence#presenceFindSubscriptions: subscription not found: ${name}; probably expired`);
+      client.sremAsync(key, name)
+        .catch((err) => logger.error({err}, `presence#presenceFindSubscriptions: Error removing ${name} from ${key}`));
+    }
+    else subscriptions.push(subscriptionData);
+  }
+  return subscriptions;
+};
+
+module.exports = function(logger, client, srf) {
+  return {
+    getEventState: presenceGetEventState.bind(null, logger, client),
+    addSubscription: presenceAddSubscription.bind(null, logger, client),
+    refreshSubscription: presenceRefreshSubscription.bind(null, logger, client),
+    removeSubscription: presenceRemoveSubscription.bind(null, logger, client),
+    findSubscriptions: presenceFindSubscriptions.bind(null, logger, client),
+    contentTypes: [PIDF_CONTENT_TYPE, XPIDF_CONTENT_TYPE],
+    defaultExpiry: 3600
+  };
+};
+
+const makeDefaultPidf = (aor) => {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<presence xmlns="urn:ietf:params:xml:ns:pidf" entity="sip:${escapeXml(aor)}">
+  <tuple id="default">
+    <status>
+      <basic>closed</basic>
+    </status>
+  </tuple>
+</presence>
+`;
+};
+
+/**
+ * Convert a PIDF document to an XPIDF document carrying the same basic status;
+ * the presentity is open if any tuple of the PIDF document has a basic status of open
+ */
+const makeXpidf = (aor, pidf) => {
+  const open = /<(?:\w+:)?basic>\s*open\s*<\/(?:\w+:)?basic>/i.test(pidf);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE presence PUBLIC "-//IETF//DTD RFCxxxx XPIDF 1.0//EN" "xpidf.dtd">
+<presence>
+  <presentity uri="sip:${escapeXml(aor)};method=SUBSCRIBE"/>
+  <atom id="${escapeXml(aor)}">
+    <address uri="sip:${escapeXml(aor)};user=ip" priority="0.800000">
+      <status status="${open ? 'open' : 'closed'}"/>
+      <msnsubstatus substatus="${open ? 'online' : 'offline'}"/>
+    </address>
+  </atom>
+</presence>
+`;
+};
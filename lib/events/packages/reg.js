@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const {sendNotify} = require('../../notifier');
+const {createMessageParser, receiveMessage} = require('../messages');
+const {tenantKey} = require('../../tenants');
+const {escapeXml} = require('../../utils');
+
+/**
+ * Data model:
+ *
+ * The registration event package is described at https://tools.ietf.org/html/rfc3680
+ *
+ * The registrar (lib/register.js) publishes every change in registration state to the 'reg' redis channel
+ * as a JSON object described by lib/events/schemas/reg-v1.json, with aor, event, contact and expires,
+ * where event is 'registered', 'refreshed', 'expired' or 'unregistered'.  Messages in the original format
+ *
+ *   ${aor} ${event} ${contact} ${expires}
+ *
+ * are also accepted.
+ *
+ * 1. Registration state
+ * Registrations are stored by RedisDb#addRegistration, in a hash keyed by reg:${aor} that maps each
+ * registered contact to its registration (as JSON).  Every reginfo document we send is full state,
+ * listing all the registered contacts of the aor, and the contact that has just expired or been unregistered.
+ *
+ * 2. Watched aors
+ * We maintain a key for each aor that has at least one active subscription.
+ * The value is a set of subscriptions, where each element in the set
+ * provides a key to the structure below.
+ *
+ * 3. Active subscription
+ * We maintain a key for each active subscription, keyed (as in the dialog package) by the subscriber, the aor,
+ * the Call-ID of the SUBSCRIBE dialog and the id parameter of its Event header (if any).
+ * The value is a hash of data that is needed to send a NOTIFY to the subscriber,
+ * including the version of the last reginfo document sent.
+ */
+
+const CHANNEL = 'reg';
+const CONTENT_TYPE = 'application/reginfo+xml';
+
+const parseMessage = createMessageParser({1: require('../schemas/reg-v1.json')}, (fields) => {
+  const [aor, event, contact, expires] = fields;
+  return {aor, event, contact, expires: /^\d+$/.test(expires) ? parseInt(expires) : expires};
+});
+
+const makeRegistrationKey = (aor) => tenantKey(aor, `reg:${aor}`);
+const makeSubscriptionName = ({subscriber, resource, callId, id}) => {
+  return tenantKey(resource, `reg-sub:${subscriber}-${resource}:${callId}${id ? `:${id}` : ''}`);
+};
+const makeSubscribedResourceKey = (resource) => tenantKey(resource, `watched-reg:${resource}`);
+
+/**
+ * Retrieve the contacts registered for an aor
+ */
+const getContacts = async(client, aor) => {
+  const registrations = await client.hgetallAsync(makeRegistrationKey(aor));
+  const now = Date.now();
+  return Object.values(registrations || {})
+    .map((value) => JSON.parse(value))
+    .filter((registration) => registration.expiresAt > now)
+    .map((registration) => ({
+      uri: registration.contact,
+      state: 'active',
+      event: 'registered',
+      expires: Math.round((registration.expiresAt - now) / 1000),
+      registeredAt: registration.registeredAt
+    }));
+};
+
+const regGetEventState = async(logger, client, pubsub, subscriber, resource, contentType, obj) => {
+  const subKey = obj && obj.callId ? makeSubscriptionName(Object.assign({}, obj, {subscriber, resource})) : null;
+  try {
+    const contacts = await getContacts(client, resource);
+    /* a member of a resource list has no subscription of its own; the list keeps its version */
+    const version = obj && undefined !== obj.version ? obj.version :
+      (subKey && await client.existsAsync(subKey) ? await client.hincrbyAsync(subKey, 'version', 1) : 1) - 1;
+
+    return {
+      aor: resource,
+      eventType: 'reg',
+      contentType: CONTENT_TYPE,
+      content: makeXmlContent(resource, version, contacts)
+    };
+  } catch (err) {
+    logger.error({err}, `reg#regGetEventState: Error retrieving registration of: ${resource} for ${subscriber}`);
+  }
+};
+
+const regAddSubscription = async(logger, client, pubsub, dlg, obj, expiry) => {
+  const {subscriber, resource} = obj;
+
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const subscriptionData = {
+      subscriber,
+      aor: resource,
+      eventType: 'reg',
+      dialogId: dlg.id,
+      notifyType: obj.notifyType || 'sip'
+    };
+    if (obj.id) subscriptionData.id = obj.id;
+
+    logger.info({subscriptionData}, `regAddSubscription: adding subscription ${subscriptionName}`);
+    const response = await client.multi()
+      .sadd(key, subscriptionName)
+      .hmset(subscriptionName, subscriptionData)
+      .expire(subscriptionName, expiry)
+      .execAsync();
+    logger.info({response}, `regAddSubscription: added subscription ${subscriptionName}`);
+    return subscriptionData;
+  } catch (err) {
+    logger.error({err}, `regAddSubscription: error adding subscription ${subscriptionName}`);
+  }
+};
+
+const regGetVersion = async(logger, client, pubsub, obj) => {
+  const version = await client.hgetAsync(makeSubscriptionName(obj), 'version');
+  return null === version ? null : parseInt(version) - 1;
+};
+
+/**
+ * Extend a subscription, keeping its data (e.g. the version of the last reginfo document sent)
+ * @returns {Boolean} true if the subscription was found
+ */
+const regRefreshSubscription = async(logger, client, pubsub, obj, expiry) => {
+  return 1 === await client.expireAsync(makeSubscriptionName(obj), expiry);
+};
+
+const regRemoveSubscription = async(logger, client, pubsub, obj) => {
+  const {resource} = obj;
+  const subscriptionName = makeSubscriptionName(obj);
+  const key = makeSubscribedResourceKey(resource);
+  try {
+    const response = await client.multi()
+      .srem(key, subscriptionName)
+      .del(subscriptionName)
+      .execAsync();
+    logger.info({response}, `regRemoveSubscription: removed subscription ${subscriptionName}`);
+  } catch (err) {
+    logger.error({err}, `regRemoveSubscription: error removing subscription ${subscriptionName}`);
+  }
+};
+
+module.exports = function(logger, client, srf, emitter) {
+  const pubsub = client.duplicate();
+  pubsub.on('connect', () => {
+    pubsub.on('subscribe', (channel, count) => {
+      logger.info(`successfully subscribed to channel ${channel}, count is ${count}`);
+    });
+    pubsub.on('message', onMessage.bind(null, logger, srf, client, emitter));
+    pubsub.subscribe(CHANNEL);
+  })
+    .on('error', (err) => {
+      logger.error(err, 'Error connecting to redis for pubsub') ;
+    });
+
+  return {
+    getEventState: regGetEventState.bind(null, logger, client, pubsub),
+    addSubscription: regAddSubscription.bind(null, logger, client, pubsub),
+    refreshSubscription: regRefreshSubscription.bind(null, logger, client, pubsub),
+    removeSubscription: regRemoveSubscription.bind(null, logger, client, pubsub),
+    getVersion: regGetVersion.bind(null, logger, client, pubsub),
+    disconnect: () => pubsub.quitAsync(),
+    channels: [CHANNEL],
+    contentTypes: [CONTENT_TYPE],
+    defaultExpiry: 3600
+  };
+};
+
+const onMessage = async(logger, srf, client, emitter, channel, msg) => {
+  const {cluster} = srf.locals;
+  if (cluster && !await cluster.claimEvent(channel, msg)) return;
+
+  const message = await receiveMessage(logger, client, channel, msg, parseMessage);
+  if (!message) return;
+  const {aor, event, contact: uri, expires} = message;
+  logger.info(`got reg event: ${aor} ${event} ${uri} ${expires}`);
+
+  /* the contact that changed is reported with the event that changed it, alongside the other contacts */
+  const registered = await getContacts(client, aor)
+    .catch((err) => logger.error({err}, `reg#onMessage: Error retrieving registrations for ${aor}`)) || [];
+  const {registeredAt} = registered.find((c) => c.uri === uri) || {};
+  const state = ['registered', 'refreshed'].includes(event) ? 'active' : 'terminated';
+  const contacts = registered.filter((c) => c.uri !== uri).concat({uri, event, expires, state, registeredAt});
+  if (emitter) {
+    emitter.emit('stateChange', {eventType: 'reg', aor, source: channel, change: {event, contact: uri, expires}});
+  }
+
+  // is anyone subscribed to this aor?
+  try {
+    const key = makeSubscribedResourceKey(aor);
+    const subscriptions = await client.smembersAsync(key);
+    logger.info({subscriptions}, `reg#onMessage: retrieved subscriptions for ${key}`);
+
+    for (const subscription of subscriptions) {
+      try {
+        const subscriptionData = await client.hgetallAsync(subscription);
+        if (!subscriptionData) {
+          logger.info(`reg#onMessage: subscription not found: ${subscription}; probably expired`);
+          client.sremAsync(key, subscription)
+            .catch((err) => logger.error({err}, `reg#onMessage: Error removing ${subscription} from set ${key}`));
+        }
+        else {
+          await sendNotify(logger, srf, subscriptionData, {
+            eventType: 'reg',
+            contentType: CONTENT_TYPE,
+            render: async() => {
+              const version = await client.hincrbyAsync(subscription, 'version', 1);
+              return {body: makeXmlContent(aor, version - 1, contacts)};
+            }
+          });
+        }
+      } catch (err) {
+        logger.error({err}, `reg#onMessage Error notifying subscription ${subscription}`);
+      }
+    }
+  } catch (err) {
+    logger.error({err}, 'reg#onMessage Error notifying subscribers');
+  }
+};
+
+const makeId = (str) => crypto.createHash('md5').update(str).digest('hex').substring(0, 10);
+
+const makeContactElement = (contact) => {
+  const duration = contact.registeredAt ?
+    Math.round((Date.now() - parseInt(contact.registeredAt)) / 1000) : 0;
+  const expires = 'active' === contact.state ? ` expires="${contact.expires}"` : '';
+  const attributes = `id="${makeId(contact.uri)}" state="${contact.state}" event="${escapeXml(contact.event)}"`;
+  return `    <contact ${attributes} duration-registered="${duration}"${expires}>
+      <uri>${escapeXml(contact.uri)}</uri>
+    </contact>
+`;
+};
+
+const makeXmlContent = (aor, version, contacts) => {
+  let registration;
+  const id = makeId(aor);
+
+  if (0 === contacts.length) {
+    registration = `<registration aor="sip:${escapeXml(aor)}" id="${id}" state="init"/>`;
+  }
+  else {
+    const state = contacts.some((c) => 'active' === c.state) ? 'active' : 'terminated';
+    registration = `<registration aor="sip:${escapeXml(aor)}" id="${id}" state="${state}">
+${contacts.map(makeContactElement).join('')}  </registration>`;
+  }
+
+  return `<?xml version="1.0"?>
+<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" version="${version}" state="full">
+  ${registration}
+</reginfo>
+`;
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const {sendNotify} = require('../../notifier');
+const {escapeXml} = require('../../utils');
+const {tenantKey} = require('../../tenants');
+
+/**
+ * Data model:
+ *
+ * The watcherinfo template package is described at https://tools.ietf.org/html/rfc3857
+ * and the watcherinfo document at https://tools.ietf.org/html/rfc3858
+ *
+ * This package is loaded for each event type ending in '.winfo' (e.g. 'presence.winfo', 'dialog.winfo')
+ * that is listed in SUPPORTED_EVENTS; the package of the watched event ('presence', 'dialog') must also be
+ * supported.  Only the owner of a resource may subscribe to its watcher information (see lib/authorization.js),
+ * so that they can see who is watching them, and who is waiting for their approval to do so.
+ *
+ * The watchers of a resource are the subscription dialogs recorded for it (see RedisDb#addSubscriptionDialog),
+ * and we are told when they change by the 'watcherChange' event.
+ *
+ * 1. Watched resources
+ * We maintain a key for each resource whose watcher information has at least one active subscription.
+ * The value is a set of subscriptions, where each element in the set provides a key to the structure below.
+ *
+ * 2. Active subscription
+ * We maintain a key for each active subscription, keyed (as in the dialog package) by the subscriber, the resource,
+ * the Call-ID of the SUBSCRIBE dialog and the id parameter of its Event header (if any).
+ * The value is a hash of data that is needed to send a NOTIFY to the subscriber,
+ * including the version of the last watcherinfo document sent.
+ */
+
+const CONTENT_TYPE = 'application/watcherinfo+xml';
+
+const makeSubscriptionName = (eventType, {subscriber, resource, callId, id}) =>
+  tenantKey(resource, `winfo-sub:${eventType}:${subscriber}-${resource}:${callId}${id ? `:${id}` : ''}`);
+const makeSubscribedResourceKey = (eventType, resource) =>
+  tenantKey(resource, `watched-winfo:${eventType}:${resource}`);
+const makeWatcherId = (dialogId) => crypto.createHash('md5').update(dialogId).digest('hex').substring(0, 10);
+
+const winfoGetEventState = async(logger, srf, client, eventType, subscriber, resource, contentType, obj) => {
+  const subKey = obj && obj.callId ? makeSubscriptionName(eventType, Object.assign({}, obj, {subscriber, resource})) :
+    null;
+  try {
+    /* a member of a resource list has no subscription of its own; the list keeps its version */
+    const version = obj && undefined !== obj.version ? obj.version :
+      (subKey && await client.existsAsync(subKey) ? await client.hincrbyAsync(subKey, 'version', 1) : 1) - 1;
+    return {
+      aor: resource,
+      eventType,
+      contentType: CONTENT_TYPE,
+      content: await makeXmlContent(srf, eventType, resource, version)
+    };
+  } catch (err) {
+    logger.error({err}, `winfo#winfoGetEventState: Error retrieving watchers of ${resource} for ${subscriber}`);
+  }
+};
+
+const winfoAddSubscription = async(logger, client, eventType, dlg, obj, expiry) => {
+  const {subscriber, resource} = obj;
+  const subscriptionName = makeSubscriptionName(eventType, obj);
+  const key = makeSubscribedResourceKey(eventType, resource);
+  try {
+    const subscriptionData = {
+      subscriber,
+      resource,
+      eventType,
+      dialogId: dlg.id,
+      notifyType: obj.notifyType || 'sip'
+    };
+    if (obj.id) subscriptionData.id = obj.id;
+
+    logger.info({subscriptionData}, `winfoAddSubscription: adding subscription ${subscriptionName}`);
+    const response = await client.multi()
+      .sadd(key, subscriptionName)
+      .hmset(subscriptionName, subscriptionData)
+      .expire(subscriptionName, expiry)
+      .execAsync();
+    logger.info({response}, `winfoAddSubscription: added subscription ${subscriptionName}`);
+    return subscriptionData;
+  } catch (err) {
+    logger.error({err}, `winfoAddSubscription: error adding subscription ${subscriptionName}`);
+  }
+};
+
+const winfoGetVersion = async(logger, client, eventType, obj) => {
+  const version = await client.hgetAsync(makeSubscriptionName(eventType, obj), 'version');
+  return null === version ? null : parseInt(version) - 1;
+};
+
+/**
+ * Extend a subscription, keeping its data (e.g. the version of the last watcherinfo document sent)
+ * @returns {Boolean} true if the subscription was found
+ */
+const winfoRefreshSubscription = async(logger, client, eventType, obj, expiry) => {
+  return 1 === await client.expireAsync(makeSubscriptionName(eventType, obj), expiry);
+};
+
+const winfoRemoveSubscription = async(logger, client, eventType, obj) => {
+  const {resource} = obj;
+  const subscriptionName = makeSubscriptionName(eventType, obj);
+  const key = makeSubscribedResourceKey(eventType, resource);
+  try {
+    const response = await client.multi()
+      .srem(key, subscriptionName)
+      .del(subscriptionName)
+      .execAsync();
+    logger.info({response}, `winfoRemoveSubscription: removed subscription ${subscriptionName}`);
+  } catch (err) {
+    logger.error({err}, `winfoRemoveSubscription: error removing subscription ${subscriptionName}`);
+  }
+};
+
+module.exports = function(logger, client, srf, emitter, eventType) {
+  const watchedEvent = eventType.replace(/\.winfo$/, '');
+  const supportedEvents = process.env.SUPPORTED_EVENTS.split(',').map((e) => e.trim());
+  if (!supportedEvents.includes(watchedEvent)) {
+    throw new Error(`event package '${eventType}' requires the '${watchedEvent}' event package`);
+  }
+
+  emitter.on('watcherChange', ({eventType: changed, aor}) => {
+    if (changed === watchedEvent) onWatcherChange(logger, srf, client, eventType, aor);
+  });
+
+  return {
+    getEventState: winfoGetEventState.bind(null, logger, srf, client, eventType),
+    addSubscription: winfoAddSubscription.bind(null, logger, client, eventType),
+    refreshSubscription: winfoRefreshSubscription.bind(null, logger, client, eventType),
+    removeSubscription: winfoRemoveSubscription.bind(null, logger, client, eventType),
+    getVersion: winfoGetVersion.bind(null, logger, client, eventType),
+    contentTypes: [CONTENT_TYPE],
+    defaultExpiry: 3600
+  };
+};
+
+const onWatcherChange = async(logger, srf, client, eventType, aor) => {
+  try {
+    const key = makeSubscribedResourceKey(eventType, aor);
+    const subscriptions = await client.smembersAsync(key);
+    for (const subscription of subscriptions) {
+      try {
+        const subscriptionData = await client.hgetallAsync(subscription);
+        if (!subscriptionData) {
+          logger.info(`winfo#onWatcherChange: subscription not found: ${subscription}; probably expired`);
+          client.sremAsync(key, subscription)
+            .catch((err) => logger.error({err}, `winfo#onWatcherChange: Error removing ${subscription}`));
+        }
+        else {
+          await sendNotify(logger, srf, subscriptionData, {
+            eventType,
+            contentType: CONTENT_TYPE,
+            render: async() => {
+              const version = await client.hincrbyAsync(subscription, 'version', 1);
+              return {body: await makeXmlContent(srf, eventType, aor, version - 1)};
+            }
+          });
+        }
+      } catch (err) {
+        logger.error({err}, `winfo#onWatcherChange Error notifying subscription ${subscription}`);
+      }
+    }
+  } catch (err) {
+    logger.error({err}, `winfo#onWatcherChange Error notifying subscribers of watchers of ${aor}`);
+  }
+};
+
+const makeXmlContent = async(srf, eventType, aor, version) => {
+  const watchedEvent = eventType.replace(/\.winfo$/, '');
+  const records = (await srf.locals.redisDb.getResourceSubscriptionDialogs(aor))
+    .filter(({subscription}) => subscription.eventType === watchedEvent);
+  const watchers = records.map(({dialogId, subscription, status, subscribedAt}) => {
+    const duration = subscribedAt ? ` duration-subscribed="${Math.round((Date.now() - subscribedAt) / 1000)}"` : '';
+    const event = 'pending' === status ? 'subscribe' : 'approved';
+    return `    <watcher id="${makeWatcherId(dialogId)}" status="${status}" event="${event}"${duration}>` +
+      `sip:${escapeXml(subscription.subscriber)}</watcher>`;
+  });
+
+  return `<?xml version="1.0"?>
+<watcherinfo xmlns="urn:ietf:params:xml:ns:watcherinfo" version="${version}" state="full">
+  <watcher-list resource="sip:${escapeXml(aor)}" package="${watchedEvent}">
+${watchers.join('\n')}
+  </watcher-list>
+</watcherinfo>
+`;
+};
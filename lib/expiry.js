@@ -0,0 +1,71 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {terminateSubscription} = require('./notifier');
+const {expireRegistrations} = require('./register');
+const {notifySubscribers} = require('./publish');
+const SWEEP_INTERVAL = parseInt(process.env.EXPIRY_SWEEP_INTERVAL) || 5;
+
+/**
+ * @module expiry
+ *
+ * Expires subscriptions, published event state and registrations.
+ *
+ * Every EXPIRY_SWEEP_INTERVAL seconds (default 5) we look in redis for subscriptions that have expired
+ * (see RedisDb#getExpiredSubscriptionDialogs).  Each one is claimed atomically, so that when several instances
+ * share a redis server each expired subscription is handled exactly once, whichever instance created it.
+ * For each subscription we claim we:
+ *  - send the final NOTIFY with Subscription-State: terminated;reason=timeout,
+ *  - remove the subscription from the event package (including the set of watchers of the resource), and
+ *  - remove the record of the subscription dialog.
+ *
+ * Published event state expires in the same way (see RedisDb#getExpiredEventStates): its entity tag is removed,
+ * a 'stateChange' event is emitted and its subscribers are sent a NOTIFY without it, just as if it had been
+ * removed by a PUBLISH with Expires: 0.
+ *
+ * We also remove the contacts whose registrations have expired (see lib/register.js).
+ */
+
+module.exports = function(logger, srf) {
+  let running = false;
+  const timer = setInterval(async() => {
+    if (running) return;
+    running = true;
+    try {
+      await sweep(logger, srf);
+    } catch (err) {
+      logger.error(err, 'expiry: Error expiring subscriptions');
+    }
+    running = false;
+  }, SWEEP_INTERVAL * 1000);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+};
+
+const sweep = async(logger, srf) => {
+  const {redisDb} = srf.locals;
+  const dialogIds = await redisDb.getExpiredSubscriptionDialogs(Date.now());
+  for (const dialogId of dialogIds) {
+    if (!await redisDb.claimSubscriptionDialog(dialogId)) continue;
+    await expireSubscription(logger, srf, dialogId);
+  }
+
+  for (const {aor, eventType} of await redisDb.getExpiredEventStates(Date.now())) {
+    if (!await redisDb.claimEventState(aor, eventType)) continue;
+    debug(`expiry#sweep: published ${eventType} state of ${aor} has expired`);
+    await notifySubscribers(logger, srf, redisDb, aor, eventType, {type: 'expire'});
+  }
+
+  await expireRegistrations(logger, srf);
+};
+
+const expireSubscription = async(logger, srf, dialogId) => {
+  const {redisDb} = srf.locals;
+  const record = await redisDb.getSubscriptionDialog(dialogId);
+  if (!record) {
+    logger.info(`expiry#expireSubscription: subscription dialog ${dialogId} not found`);
+    return redisDb.removeSubscriptionDialog(dialogId);
+  }
+  logger.info(record.subscription, `subscription timed out on dialog ${dialogId}`);
+  await terminateSubscription(logger, srf, record, 'terminated;reason=timeout');
+};
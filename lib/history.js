@@ -0,0 +1,51 @@
+const debug = require('debug')('drachtio:presence-agent');
+const MAX_LEN = isNaN(parseInt(process.env.EVENT_HISTORY_LENGTH)) ? 1000 : parseInt(process.env.EVENT_HISTORY_LENGTH);
+const EXPIRY = parseInt(process.env.EVENT_HISTORY_EXPIRY) || 7 * 24 * 60 * 60;
+const MAX_RESULTS = 1000;
+
+/**
+ * @module history
+ *
+ * Keeps a history of the changes to the state of each aor, for every event package, so that we can answer
+ * questions like "when was extension 101 last busy" or "why did the BLF lamp flicker".
+ *
+ * Each 'stateChange' event emitted on RedisDb by an event package (or by lib/publish.js) is appended to a redis
+ * stream for the aor (see RedisDb#addHistory), recording when it happened, its source (the redis channel of
+ * the event package, or 'publish'), the version of the state of the aor in that package after the change
+ * (which goes up by one with each change, and is not the version of the documents sent to subscribers, which each
+ * subscription numbers for itself), and the details of the change given by the package, e.g.
+ *   {"eventType": "dialog", "source": "dialog", "version": 12, "change": {"id": "1", "state": "confirmed", ...}}
+ *
+ * The history of each aor is capped at about EVENT_HISTORY_LENGTH entries (default 1000; 0 disables the history),
+ * and removed once the aor has had no changes for EVENT_HISTORY_EXPIRY seconds (default 7 days).
+ * Each change is recorded once, by the instance that handled it (see lib/cluster.js).
+ */
+
+module.exports = function(logger, srf) {
+  const {redisDb} = srf.locals;
+
+  if (MAX_LEN > 0) {
+    redisDb.on('stateChange', ({eventType, aor, source, change}) => {
+      redisDb.addHistory(aor, {eventType, source, change}, MAX_LEN, EXPIRY)
+        .then(({id, version}) => debug(`history: recorded ${eventType} version ${version} of ${aor} as ${id}`))
+        .catch((err) => logger.error({err}, `history: Error recording ${eventType} change of ${aor}`));
+    });
+  }
+
+  return {
+    enabled: MAX_LEN > 0,
+
+    /**
+     * Retrieve the history of an aor, oldest first
+     * @param {String} aor - the address-of-record
+     * @param {Object} opts - eventType: only changes in this event package; from, to: time range, in milliseconds
+     * since the epoch; limit: the most entries to return (the latest are returned; at most 1000, the default)
+     * @returns {Array} array of {id, timestamp, eventType, source, version, change}
+     */
+    query: async(aor, {eventType, from, to, limit = MAX_RESULTS} = {}) => {
+      const entries = (await redisDb.getHistory(aor, from, to))
+        .filter((e) => !eventType || e.eventType === eventType);
+      return entries.slice(-Math.min(limit, MAX_RESULTS));
+    }
+  };
+};
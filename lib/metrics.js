@@ -0,0 +1,165 @@
+const client = require('prom-client');
+const PREFIX = 'presence_agent_';
+
+/**
+ * @module metrics
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * Prometheus metrics, served at /metrics by the admin HTTP API (see lib/admin.js):
+ *  - presence_agent_subscriptions{event_type, status} - subscriptions of all instances, by event package and status
+ *  - presence_agent_subscribe_responses_total{result} - final responses to new SUBSCRIBE requests, where result
+ *    is 'accepted' for a 2xx and otherwise the status code (e.g. '400', '489', '480'); authentication challenges
+ *    (401 and 407) are not counted, since the subscriber is expected to try again with credentials
+ *  - presence_agent_notify_responses_total{class} - NOTIFYs sent by this instance, by the class of the final
+ *    response ('2xx' .. '6xx'), or 'failure' if the NOTIFY could not be sent
+ *  - presence_agent_notify_duration_seconds{class} - time from sending a NOTIFY to receiving its final response
+ *  - presence_agent_event_messages_total{channel} - messages received on the redis channels of event packages
+ *  - presence_agent_event_message_failures_total{channel} - of those, messages that could not be parsed
+ *  - presence_agent_redis_command_duration_seconds{command} - latency of the redis commands sent by RedisDb and
+ *    the event packages
+ * along with the default process metrics of prom-client.
+ */
+
+client.collectDefaultMetrics({prefix: PREFIX});
+
+let subscriptionSource;
+/* registered with prom-client; counted in redis (see RedisDb#getSubscriptionCounts) whenever metrics are collected */
+new client.Gauge({
+  name: `${PREFIX}subscriptions`,
+  help: 'Subscriptions, by event package and status',
+  labelNames: ['event_type', 'status'],
+  async collect() {
+    if (!subscriptionSource) return;
+    this.reset();
+    const counts = await subscriptionSource.getSubscriptionCounts();
+    counts.forEach(({eventType, status, count}) => this.set({event_type: eventType, status}, count));
+  }
+});
+
+const subscribeResponses = new client.Counter({
+  name: `${PREFIX}subscribe_responses_total`,
+  help: 'Final responses to new SUBSCRIBE requests',
+  labelNames: ['result']
+});
+
+const notifyResponses = new client.Counter({
+  name: `${PREFIX}notify_responses_total`,
+  help: 'NOTIFY requests sent, by class of final response',
+  labelNames: ['class']
+});
+
+const notifyDuration = new client.Histogram({
+  name: `${PREFIX}notify_duration_seconds`,
+  help: 'Time from sending a NOTIFY to receiving its final response',
+  labelNames: ['class'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 32]
+});
+
+const eventMessages = new client.Counter({
+  name: `${PREFIX}event_messages_total`,
+  help: 'Messages received on the redis channels of event packages',
+  labelNames: ['channel']
+});
+
+const eventMessageFailures = new client.Counter({
+  name: `${PREFIX}event_message_failures_total`,
+  help: 'Messages received on the redis channels of event packages that could not be parsed',
+  labelNames: ['channel']
+});
+
+const redisDuration = new client.Histogram({
+  name: `${PREFIX}redis_command_duration_seconds`,
+  help: 'Latency of redis commands',
+  labelNames: ['command'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1]
+});
+
+/**
+ * Count the subscriptions recorded by a RedisDb when the metrics are collected
+ */
+const watchSubscriptions = (redisDb) => {
+  subscriptionSource = redisDb;
+};
+
+/**
+ * srf middleware that counts the final responses to new SUBSCRIBE requests
+ */
+const countSubscribeResponses = (req, res, next) => {
+  if (!req.getParsedHeader('to').params.tag) {
+    res.once('end', ({status}) => {
+      if (401 === status || 407 === status) return;
+      subscribeResponses.inc({result: status < 300 ? 'accepted' : `${status}`});
+    });
+  }
+  next();
+};
+
+/**
+ * Time a NOTIFY and count its outcome
+ * @param {Promise} promise - the result of sending the NOTIFY, which resolves with either the final response
+ * (Dialog#request) or the request that was sent (Srf#request)
+ * @returns {Promise} the result of sending the NOTIFY
+ */
+const trackNotify = async(promise) => {
+  const end = notifyDuration.startTimer();
+  let result;
+  try {
+    result = await promise;
+  } catch (err) {
+    notifyResponses.inc({class: 'failure'});
+    throw err;
+  }
+  const observe = (status) => {
+    const cls = `${Math.floor(status / 100)}xx`;
+    notifyResponses.inc({class: cls});
+    end({class: cls});
+  };
+  if (result && typeof result.status === 'number') observe(result.status);
+  else if (result && typeof result.on === 'function') {
+    const onResponse = (res) => {
+      if (res.status < 200) return;
+      result.removeListener('response', onResponse);
+      observe(res.status);
+    };
+    result.on('response', onResponse);
+  }
+  return result;
+};
+
+/**
+ * Count a message received on the redis channel of an event package
+ */
+const countEventMessage = (channel, failed) => {
+  eventMessages.inc({channel});
+  if (failed) eventMessageFailures.inc({channel});
+};
+
+/**
+ * Time each command sent on a redis client
+ */
+const instrumentRedis = (redisClient) => {
+  const send = redisClient.internal_send_command;
+  redisClient.internal_send_command = function(commandObj) {
+    /* commands issued while disconnected are sent again once connected */
+    if (!commandObj.timed) {
+      const end = redisDuration.startTimer({command: commandObj.command});
+      const {callback} = commandObj;
+      commandObj.timed = true;
+      commandObj.callback = function(...args) {
+        end();
+        if (callback) return callback.apply(this, args);
+      };
+    }
+    return send.call(this, commandObj);
+  };
+  return redisClient;
+};
+
+module.exports = {
+  register: client.register,
+  watchSubscriptions,
+  countSubscribeResponses,
+  trackNotify,
+  countEventMessage,
+  instrumentRedis
+};
@@ -0,0 +1,222 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {getNotifyRate, makeSubscriptionState} = require('./utils');
+const rateControl = require('./rate-control');
+const {trackNotify} = require('./metrics');
+const {isApiSubscription, deliver} = require('./delivery');
+const MAX_FAILURES = parseInt(process.env.NOTIFY_MAX_FAILURES) || 5;
+const MAX_RETRIES = isNaN(parseInt(process.env.NOTIFY_MAX_RETRIES)) ? 3 : parseInt(process.env.NOTIFY_MAX_RETRIES);
+
+/**
+ * @module notifier
+ *
+ * Sends NOTIFY requests to subscribers outside of the SUBSCRIBE handler
+ * (e.g. when event state changes), using the stack dialog id saved with the subscription.
+ * A NOTIFY for a subscription dialog owned by another instance is forwarded to that instance (see lib/cluster.js).
+ * A NOTIFY for a subscription created through the admin API is delivered as a JSON notification (see lib/delivery.js).
+ * Subscriptions that are pending authorization are not sent event state.
+ *
+ * The outcome of each NOTIFY is checked (see watchNotify):
+ *  - a 481 or 408 response, or a failure to send the NOTIFY at all, means the subscriber has gone away (e.g. a phone
+ *    that rebooted without unsubscribing), so the subscription is torn down straight away,
+ *  - a 5xx response with a Retry-After header is retried after that many seconds, doubling the delay each time,
+ *    up to NOTIFY_MAX_RETRIES times (default 3), with the full state at that time, and
+ *  - the consecutive failures of each subscription are counted (see RedisDb#countSubscriptionDialogFailure);
+ *    once there have been NOTIFY_MAX_FAILURES (default 5) in a row, the subscription is torn down.
+ */
+
+const retries = new Map();
+const failing = new Set();
+
+/**
+ * Send a NOTIFY within an existing subscription dialog, subject to the rate limits of the subscription
+ * @param {Object} logger - pino logger
+ * @param {Object} srf - drachtio Srf instance
+ * @param {Object} subscription - subscription data; must include the stack dialog id (dialogId)
+ * @param {Object} opts - event type, the content type and body (if any) and any additional headers of the NOTIFY;
+ * alternatively, render is an async function returning the content type, body and headers, which is called when
+ * the NOTIFY is actually sent and is passed true if the NOTIFY should carry full state (see lib/rate-control.js)
+ * @returns {Object} the NOTIFY request that was sent, or nothing if it was held or forwarded to another instance
+ */
+const sendNotify = async(logger, srf, subscription, opts) => {
+  const {eventType} = opts;
+  const {dialogId} = subscription;
+  const subscriptionState = opts.subscriptionState || 'active';
+  const {cluster, redisDb} = srf.locals;
+  const record = await redisDb.getSubscriptionDialog(dialogId);
+  if (record && 'pending' === record.status && 'active' === subscriptionState) {
+    debug(`notifier#sendNotify: not sending event state to pending subscription on dialog ${dialogId}`);
+    return;
+  }
+  const owner = cluster && record && record.owner !== cluster.instanceId ? record.owner : null;
+  const expiresAt = record && record.expires ? Date.now() + record.expires * 1000 : undefined;
+
+  const send = async(fullState, attempt = 0) => {
+    const content = opts.render ? Object.assign({}, opts, await opts.render(fullState)) : opts;
+    const headers = {
+      'Subscription-State': makeSubscriptionState(subscriptionState, expiresAt),
+      'Event': subscription.id ? `${eventType};id=${subscription.id}` : eventType
+    };
+    if (content.headers) Object.assign(headers, content.headers);
+    if (content.body) Object.assign(headers, {'Content-Type': content.contentType});
+    const {body} = content;
+
+    if (owner) return cluster.forwardNotify(owner, {stackDialogId: dialogId, headers, body});
+    if (isApiSubscription(dialogId)) return deliver(logger, srf, dialogId, {headers, body});
+
+    debug(`notifier#sendNotify: sending NOTIFY for ${eventType} on dialog ${dialogId}`);
+    return watchNotify(logger, srf, dialogId, trackNotify(srf.request('sip:placeholder', {
+      stackDialogId: dialogId,
+      method: 'NOTIFY',
+      headers,
+      body
+    })), {
+      final: subscriptionState.startsWith('terminated'),
+      attempt,
+      resend: (n) => send(true, n)
+    });
+  };
+
+  /* the rate of NOTIFYs is controlled by the instance that owns the dialog, which knows when it last sent one */
+  if (owner) return send(false);
+  const rate = getNotifyRate(record ? record.subscription : subscription);
+  return rateControl.schedule(logger, dialogId, rate, send, {final: subscriptionState.startsWith('terminated')});
+};
+
+/**
+ * Terminate a subscription: send the final NOTIFY, then remove the subscription from its event package
+ * (or resource list) and the record of its dialog
+ * @param {Object} logger - pino logger
+ * @param {Object} srf - drachtio Srf instance
+ * @param {Object} record - the subscription dialog (see RedisDb#getSubscriptionDialog)
+ * @param {String} subscriptionState - e.g. 'terminated;reason=timeout'
+ */
+const terminateSubscription = async(logger, srf, record, subscriptionState) => {
+  const {dialogId, subscription} = record;
+  try {
+    await sendNotify(logger, srf, Object.assign({dialogId}, subscription), {
+      eventType: subscription.eventType,
+      subscriptionState
+    });
+  } catch (err) {
+    logger.info(`notifier#terminateSubscription: unable to send NOTIFY on dialog ${dialogId}: ${err}`);
+  }
+  await removeSubscription(logger, srf, record);
+};
+
+/**
+ * Remove a subscription from its event package (or resource list) and the record of its dialog,
+ * without sending a NOTIFY, and forget any NOTIFYs that are held or waiting to be retried
+ * @param {Object} logger - pino logger
+ * @param {Object} srf - drachtio Srf instance
+ * @param {Object} record - the subscription dialog (see RedisDb#getSubscriptionDialog)
+ */
+const removeSubscription = async(logger, srf, record) => {
+  const {redisDb, rls} = srf.locals;
+  const {dialogId, subscription, resourceList} = record;
+
+  rateControl.clear(dialogId);
+  clearTimeout(retries.get(dialogId));
+  retries.delete(dialogId);
+  failing.delete(dialogId);
+
+  try {
+    const db = resourceList ? rls : redisDb;
+    if (redisDb.eventPackages[subscription.eventType]) await db.removeSubscription(subscription);
+    await redisDb.removeSubscriptionDialog(dialogId);
+  } catch (err) {
+    logger.error(err, `notifier#removeSubscription: Error removing subscription on dialog ${dialogId}`);
+  }
+
+  /* if we created this dialog, we no longer need it */
+  const dlg = srf.findDialogById(dialogId);
+  if (dlg) {
+    dlg.removeAllListeners();
+    srf.removeDialog(dlg);
+  }
+};
+
+/**
+ * Act on the outcome of a NOTIFY: tear down the subscription if the subscriber has gone away,
+ * retry the NOTIFY if the subscriber asks us to, and count failures
+ * @param {Object} logger - pino logger
+ * @param {Object} srf - drachtio Srf instance
+ * @param {String} dialogId - stack dialog id
+ * @param {Promise} promise - the result of sending the NOTIFY, which resolves with either the final response
+ * (Dialog#request) or the request that was sent (Srf#request)
+ * @param {Object} opts - final: the NOTIFY terminates the subscription; resend: function that sends the NOTIFY
+ * again, passed the number of the retry; attempt: the number of this retry, if it is one
+ * @returns {Promise} the result of sending the NOTIFY
+ */
+const watchNotify = async(logger, srf, dialogId, promise, opts = {}) => {
+  /* a newer NOTIFY supersedes one waiting to be retried */
+  clearTimeout(retries.get(dialogId));
+  retries.delete(dialogId);
+
+  let result;
+  try {
+    result = await promise;
+  } catch (err) {
+    onFailure(logger, srf, dialogId, opts, null, `unable to send NOTIFY: ${err.message}`);
+    throw err;
+  }
+  const onResponse = (res) => {
+    if (res.status >= 200 && res.status < 300) return onSuccess(logger, srf, dialogId);
+    onFailure(logger, srf, dialogId, opts, res, `received status ${res.status} to NOTIFY`);
+  };
+  if (result && typeof result.status === 'number') onResponse(result);
+  else if (result && typeof result.on === 'function') {
+    const listener = (res) => {
+      if (res.status < 200) return;
+      result.removeListener('response', listener);
+      onResponse(res);
+    };
+    result.on('response', listener);
+  }
+  return result;
+};
+
+const onSuccess = (logger, srf, dialogId) => {
+  if (!failing.delete(dialogId)) return;
+  srf.locals.redisDb.resetSubscriptionDialogFailures(dialogId)
+    .catch((err) => logger.error(err, `notifier#onSuccess: Error resetting failures of dialog ${dialogId}`));
+};
+
+const onFailure = async(logger, srf, dialogId, opts, res, reason) => {
+  const {redisDb} = srf.locals;
+  logger.info(`notifier: ${reason} on dialog ${dialogId}`);
+  if (opts.final) return;
+
+  try {
+    failing.add(dialogId);
+    const failures = await redisDb.countSubscriptionDialogFailure(dialogId);
+    const gone = !res || [408, 481].includes(res.status);
+    if (gone || failures >= MAX_FAILURES) {
+      const record = await redisDb.getSubscriptionDialog(dialogId);
+      if (!record) return;
+      logger.info(record.subscription, `notifier: tearing down subscription on dialog ${dialogId} after ` +
+        `${failures} consecutive failures: ${reason}`);
+      return removeSubscription(logger, srf, record);
+    }
+
+    const attempt = opts.attempt || 0;
+    const retryAfter = res.status >= 500 && res.has('Retry-After') ? parseInt(res.get('Retry-After')) : NaN;
+    if (opts.resend && !isNaN(retryAfter) && attempt < MAX_RETRIES) {
+      const delay = Math.max(retryAfter, 1) * Math.pow(2, attempt);
+      debug(`notifier#onFailure: retrying NOTIFY on dialog ${dialogId} in ${delay}s`);
+      retries.set(dialogId, setTimeout(() => {
+        retries.delete(dialogId);
+        Promise.resolve(opts.resend(attempt + 1))
+          .catch((err) => logger.info(`notifier: unable to retry NOTIFY on dialog ${dialogId}: ${err}`));
+      }, delay * 1000));
+    }
+  } catch (err) {
+    logger.error(err, `notifier#onFailure: Error handling failed NOTIFY on dialog ${dialogId}`);
+  }
+};
+
+module.exports = {
+  sendNotify,
+  terminateSubscription,
+  removeSubscription,
+  watchNotify
+};
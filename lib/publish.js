@@ -0,0 +1,220 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {parseAor, parseEventHeader, getDefaultPublishExpiry, getMinPublishExpiry} = require('./utils');
+const {sendNotify} = require('./notifier');
+const {getTenantOfAor, getTenantEvents} = require('./tenants');
+const supportedEvents = process.env.SUPPORTED_EVENTS.split(',').map((e) => e.trim());
+
+/**
+ * @module publish
+ * @see https://tools.ietf.org/html/rfc3903
+ *
+ * This module exposes an Event State Compositor per RFC 3903.
+ *
+ * A PUBLISH request is one of four types:
+ *  - initial: no SIP-If-Match header, a body is required
+ *  - refresh: SIP-If-Match header, no body
+ *  - modify: SIP-If-Match header and a body
+ *  - remove: SIP-If-Match header, no body, and Expires: 0
+ *
+ * Event state may only be published for event packages that find their own subscriptions (findSubscriptions;
+ * see lib/events/index.js), since the others (e.g. dialog and reg) take their state from redis channels instead;
+ * a PUBLISH for any other event is refused with a 489.  A body must be of one of the content types of the
+ * package, or the PUBLISH is refused with a 415 and an Accept header listing them.
+ */
+
+module.exports = function(logger) {
+
+  return (req, res) => {
+    if (!validate(logger, req, res)) return;
+
+    if (!req.publication.etag) initial(logger, req, res);
+    else if (0 === req.publication.expiry) remove(logger, req, res);
+    else if (!req.body) refresh(logger, req, res);
+    else modify(logger, req, res);
+  };
+};
+
+const initial = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {resource, eventType, expiry} = req.publication;
+  logger.info(req.publication, 'publish#initial');
+
+  if (!req.body || 0 === expiry) {
+    logger.info(`initial PUBLISH for ${resource} must have a body and non-zero expiry: ${req.get('Call-ID')}`);
+    return res.send(400);
+  }
+
+  try {
+    const data = await redisDb.addEventState(resource, expiry, eventType, req.get('Content-Type'), req.body);
+    res.send(200, {
+      headers: {
+        'SIP-ETag': data.etag,
+        'Expires': expiry
+      }
+    });
+    notifySubscribers(logger, req.srf, redisDb, resource, eventType, makeChange(req, 'initial', data.etag));
+  } catch (err) {
+    logger.error(err, `publish#initial: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+const refresh = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {eventType, expiry, etag} = req.publication;
+  logger.info(req.publication, 'publish#refresh');
+
+  try {
+    const data = await findEventState(logger, redisDb, req, res);
+    if (!data) return;
+
+    const newETag = await redisDb.refreshEventState(data.aor, eventType, expiry);
+    debug(`publish#refresh: refreshed ${data.aor}:${eventType}, etag ${etag} is now ${newETag}`);
+    res.send(200, {
+      headers: {
+        'SIP-ETag': newETag,
+        'Expires': expiry
+      }
+    });
+  } catch (err) {
+    logger.error(err, `publish#refresh: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+const modify = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {eventType, expiry} = req.publication;
+  logger.info(req.publication, 'publish#modify');
+
+  try {
+    const data = await findEventState(logger, redisDb, req, res);
+    if (!data) return;
+
+    const newETag = await redisDb.modifyEventState(data, expiry, req.get('Content-Type'), req.body);
+    res.send(200, {
+      headers: {
+        'SIP-ETag': newETag,
+        'Expires': expiry
+      }
+    });
+    notifySubscribers(logger, req.srf, redisDb, data.aor, eventType, makeChange(req, 'modify', newETag));
+  } catch (err) {
+    logger.error(err, `publish#modify: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+const remove = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {eventType, etag} = req.publication;
+  logger.info(req.publication, 'publish#remove');
+
+  try {
+    const data = await findEventState(logger, redisDb, req, res);
+    if (!data) return;
+
+    const aor = await redisDb.removeEventState(etag);
+    res.send(200, {headers: {'Expires': 0}});
+    notifySubscribers(logger, req.srf, redisDb, aor, eventType, makeChange(req, 'remove', etag));
+  } catch (err) {
+    logger.error(err, `publish#remove: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+/**
+ * Retrieve the event state identified by the SIP-If-Match header;
+ * sends a 412 and returns nothing if there is no matching event state (in the tenant of the request uri)
+ */
+const findEventState = async(logger, redisDb, req, res) => {
+  const {resource, eventType, etag} = req.publication;
+  const data = await redisDb.getEventStateByETag(etag);
+  if (!data || data.eventType !== eventType || getTenantOfAor(data.aor).name !== getTenantOfAor(resource).name) {
+    logger.info(`PUBLISH with unknown entity tag ${etag} for event ${eventType}: ${req.get('Call-ID')}`);
+    res.send(412);
+    return;
+  }
+  return data;
+};
+
+/**
+ * Describe a change to event state made by a PUBLISH, for the event history (see lib/history.js)
+ */
+const makeChange = (req, type, etag) => {
+  return {type, etag, contentType: req.get('Content-Type'), publisher: `${req.source_address}:${req.source_port}`};
+};
+
+/**
+ * Send a NOTIFY with the current event state to everyone subscribed to the resource
+ */
+const notifySubscribers = async(logger, srf, redisDb, resource, eventType, change) => {
+  redisDb.emit('stateChange', {eventType, aor: resource, source: 'publish', change});
+  try {
+    const subscriptions = await redisDb.findSubscriptions(resource, eventType);
+    debug(`publish#notifySubscribers: found ${subscriptions.length} subscriptions for ${resource}:${eventType}`);
+
+    for (const sub of subscriptions) {
+      if (!sub || !sub.dialogId) continue;
+      try {
+        await sendNotify(logger, srf, sub, {
+          eventType,
+          render: async() => {
+            const state = await redisDb.getEventState(sub.subscriber, resource, eventType, sub.contentType, sub);
+            return {contentType: state && state.contentType, body: state && state.content};
+          }
+        });
+      } catch (err) {
+        logger.error({err}, `publish#notifySubscribers: Error notifying ${sub.subscriber} of ${resource}:${eventType}`);
+      }
+    }
+  } catch (err) {
+    logger.error({err}, `publish#notifySubscribers: Error retrieving subscriptions for ${resource}:${eventType}`);
+  }
+};
+
+function validate(logger, req, res) {
+  if (!req.has('Event')) {
+    logger.info(`PUBLISH request is missing Event header: ${req.get('Call-ID')}`);
+    res.send(400);
+    return false;
+  }
+  const {event} = parseEventHeader(req.get('Event'));
+  const resource = parseAor(req.uri, req.source_address);
+  const pkg = req.srf.locals.redisDb.eventPackages[event];
+  if (!getTenantEvents(getTenantOfAor(resource), supportedEvents).includes(event) || !pkg || !pkg.findSubscriptions) {
+    logger.info(`PUBLISH request for unsupported event ${req.get('Event')}: ${req.get('Call-ID')}`);
+    res.send(489);
+    return false;
+  }
+  if (req.body && !pkg.contentTypes.includes((req.get('Content-Type') || '').split(';')[0].trim().toLowerCase())) {
+    logger.info(`PUBLISH request with unsupported Content-Type ${req.get('Content-Type')}: ${req.get('Call-ID')}`);
+    res.send(415, {headers: {'Accept': pkg.contentTypes.join(', ')}});
+    return false;
+  }
+
+  if (req.has('Expires') && !/^\s*\d+\s*$/.test(req.get('Expires'))) {
+    logger.info(`PUBLISH request with invalid Expires header ${req.get('Expires')}: ${req.get('Call-ID')}`);
+    res.send(400);
+    return false;
+  }
+  const expiry = req.has('Expires') ? parseInt(req.get('Expires')) : getDefaultPublishExpiry(event);
+  const minExpiry = getMinPublishExpiry(event);
+  if (expiry > 0 && expiry < minExpiry) {
+    logger.info(`PUBLISH request with expiry ${expiry} less than minimum ${minExpiry}: ${req.get('Call-ID')}`);
+    res.send(423, {headers: {'Min-Expires': minExpiry}});
+    return false;
+  }
+
+  req.publication = {
+    resource,
+    eventType: event,
+    expiry,
+    etag: req.get('SIP-If-Match')
+  };
+  logger.info(`PUBLISH: ${req.publication.resource}:${event}: ${expiry}`);
+
+  return true;
+}
+
+module.exports.notifySubscribers = notifySubscribers;
@@ -0,0 +1,94 @@
+const debug = require('debug')('drachtio:presence-agent');
+
+/**
+ * @module rate-control
+ * @see https://tools.ietf.org/html/rfc6446
+ *
+ * Limits the rate at which NOTIFYs are sent on each subscription dialog (see utils#getNotifyRate).
+ *
+ * A NOTIFY that would be sent less than the minimum interval after the previous one is held until the interval
+ * has passed.  If the state changes again in the meantime the held NOTIFY is replaced, so a burst of changes
+ * results in a single NOTIFY with the latest state.  The content of a NOTIFY is generated only when it is
+ * actually sent, so any version number it carries still goes up by one with each NOTIFY the subscriber receives.
+ *
+ * If the subscriber asked for a force interval, a NOTIFY with the current state is sent whenever none
+ * has been sent for that long.
+ *
+ * The NOTIFYs that start and end a subscription are never held.
+ *
+ * The state is kept in memory, so the rate is controlled only by the instance that owns the subscription dialog;
+ * other instances forward their NOTIFYs to it straight away (see lib/cluster.js).
+ */
+
+const dialogs = new Map();
+
+/**
+ * Send a NOTIFY on a subscription dialog, now or once the minimum interval has passed
+ * @param {Object} logger - pino logger
+ * @param {String} dialogId - stack dialog id
+ * @param {Object} rate - minInterval and (optional) force, in seconds
+ * @param {Function} send - async function that generates and sends the NOTIFY; it is passed true if the NOTIFY
+ * replaces several held NOTIFYs or is forced, in which case it should carry full state
+ * @param {Object} opts - immediate: send now, whatever the rate; final: the NOTIFY terminates the subscription
+ * @returns {Promise} the result of send, if the NOTIFY was sent now
+ */
+const schedule = (logger, dialogId, rate, send, opts = {}) => {
+  if (opts.final) {
+    clear(dialogId);
+    return send(false);
+  }
+
+  let entry = dialogs.get(dialogId);
+  if (!entry) {
+    entry = {lastSent: 0, pending: 0};
+    dialogs.set(dialogId, entry);
+  }
+  Object.assign(entry, {rate, send});
+
+  const wait = entry.lastSent + rate.minInterval * 1000 - Date.now();
+  if (opts.immediate || wait <= 0) return deliver(logger, dialogId, entry, false);
+
+  debug(`rate-control#schedule: holding NOTIFY on dialog ${dialogId} for ${wait}ms`);
+  if (0 === entry.pending++) setTimer(logger, dialogId, entry, wait);
+};
+
+/**
+ * Forget a subscription dialog, e.g. because the subscription has been terminated
+ */
+const clear = (dialogId) => {
+  const entry = dialogs.get(dialogId);
+  if (entry) {
+    clearTimeout(entry.timer);
+    dialogs.delete(dialogId);
+  }
+};
+
+const deliver = (logger, dialogId, entry, fullState) => {
+  entry.lastSent = Date.now();
+  entry.pending = 0;
+  setTimer(logger, dialogId, entry, (entry.rate.force || entry.rate.minInterval) * 1000);
+  return entry.send(fullState);
+};
+
+const setTimer = (logger, dialogId, entry, ms) => {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(onTimer.bind(null, logger, dialogId, entry), ms);
+};
+
+const onTimer = async(logger, dialogId, entry) => {
+  entry.timer = null;
+  if (0 === entry.pending && !entry.rate.force) return dialogs.delete(dialogId);
+
+  debug(`rate-control#onTimer: sending ${entry.pending ? 'held' : 'forced'} NOTIFY on dialog ${dialogId}`);
+  try {
+    await deliver(logger, dialogId, entry, 1 !== entry.pending);
+  } catch (err) {
+    logger.info(`rate-control#onTimer: unable to send NOTIFY on dialog ${dialogId}: ${err}`);
+    clear(dialogId);
+  }
+};
+
+module.exports = {
+  schedule,
+  clear
+};
@@ -1,14 +1,33 @@
-const assert = require('assert');
 const bluebird = require('bluebird');
 const redis = require('redis');
 bluebird.promisifyAll(redis.RedisClient.prototype);
 bluebird.promisifyAll(redis.Multi.prototype);
 const Emitter = require('events');
 const debug = require('debug')('drachtio:presence-agent');
-const {generateETag} = require('./utils');
+const {generateETag, getInstanceId} = require('./utils');
+const {tenantKey, getKeyPrefixes, getTenantOfAor} = require('./tenants');
+const {instrumentRedis, watchSubscriptions} = require('./metrics');
 const short = require('short-uuid');
 const translator = short();
 const ZSET = 'event_zset';
+const EVENT_EXPIRY = 'event-expiry';
+const SUB_DIALOGS = 'sub-dlgs';
+const SUB_DIALOG_GRACE = 60;
+const SUB_COUNTS = 'sub-counts';
+const SUB_COUNTED = 'sub-counted';
+const TENANT_RESERVATION = 32;
+const REG_EXPIRY = 'reg-expiry';
+const REG_GRACE = 60;
+
+/* numbers a change and appends it to the history in one step, so that concurrent changes get distinct versions */
+const ADD_HISTORY_SCRIPT = `
+local version = redis.call('HINCRBY', KEYS[2], ARGV[1], 1)
+local id = redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[4], '*',
+  'eventType', ARGV[1], 'source', ARGV[2], 'version', version, 'change', ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return {id, version}
+`;
 
 class RedisDb extends Emitter {
   /**
@@ -24,7 +43,8 @@ class RedisDb extends Emitter {
   _init(srf) {
     const host = process.env.REDIS_HOST || '127.0.0.1';
     const port = process.env.REDIS_PORT || 6379;
-    this.client = redis.createClient(port, host);
+    this.client = instrumentRedis(redis.createClient(port, host));
+    watchSubscriptions(this);
     this.client.on('connect', () => {
       this.logger.info(`successfully connected to redis at ${host}:${port}`);
       this.emit('connect');
@@ -33,11 +53,16 @@ class RedisDb extends Emitter {
         this.logger.error(err, `Error connecting to redis at ${host}:${port}`) ;
       });
 
-    this.eventPackages = require('./events')(this.logger, this.client, srf);
+    this.eventPackages = require('./events')(this.logger, this.client, srf, this);
   }
 
-  disconnect() {
-    this.client.quit();
+  /**
+   * Quit our redis connections, including those of the event packages
+   * @returns {Promise} resolves once they have all been closed
+   */
+  async disconnect() {
+    await Promise.all(Object.values(this.eventPackages).map((pkg) => pkg.disconnect && pkg.disconnect()));
+    await this.client.quitAsync();
   }
 
   get lastInsert() {
@@ -55,73 +80,153 @@ class RedisDb extends Emitter {
   /**
    * Registrations data model:
    *
-   * Active registrations are stored in a hash keyed by reg:${user}:${realm}
-   * The hash consists of:
+   * The contacts registered for an address-of-record are stored in a hash keyed by reg:${user}:${realm}
+   * (like every key of an aor, prefixed with the key prefix of its tenant; see lib/tenants.js), which maps
+   * each contact (the sip address where this user can be reached) to a JSON object with:
    *  - aor - a sip address-of-record for a user (e.g. daveh@drachtio.org)
    *  - contact - the sip address where this user can be reached
    *  - sbcAddress - the sip uri address of the drachtio server that manages the connection to this user
    *  - protocol - the transport protocol used between the drachtio server and the user
    *  - proxy - the source address and port of the registering device
-   *  - expires - number of seconds the registration for this user is active
+   *  - expiresAt - time (in milliseconds since the epoch) that the registration of the contact expires
+   *  - registeredAt - time (in milliseconds since the epoch) that the contact was first registered
+   *
+   * The sorted set reg-expiry contains every registered contact (as the JSON array [aor, contact]), scored by
+   * the time that it expires, so that expired contacts can be found and removed (see lib/register.js).
+   * The hash itself is kept until a short while after its last contact expires.
    */
 
   /**
-   * Add a registration for a user identified by a sip address-of-record
+   * Add (or refresh) the registration of a contact for a user identified by a sip address-of-record
    * @param {String} aor - a sip address-of-record for a user (e.g. daveh@drachtio.org)
-   * @param {String} contact - the sip address where this user can be reached
-   * @param {String} sbcAddress - the sip uri address of the sbc that manages the connection to this user
-   * @param {String} protocol - the transport protocol used between the sbc and the user
-   * @param {String} proxy - the source address and port of the registering device
-   * @param {String} expires - number of seconds the registration for this user is active
+   * @param {Object} obj - the registration: contact, sbcAddress, protocol, proxy and registeredAt
+   * @param {String} expires - number of seconds the registration of the contact is active
    * @returns {Boolean} true if the registration was successfully added
    */
   async addRegistration(aor, obj, expires) {
-    debug(`Registrar#add ${aor} from ${JSON.stringify(obj)} for ${expires}`);
+    return await this.updateRegistrations(aor, [{registration: obj, expires}]);
+  }
+
+  /**
+   * Add, refresh and remove the registrations of several contacts of a user at once, so that (for instance)
+   * a REGISTER either changes all of its contacts or none of them
+   * @param {String} aor - a sip address-of-record for a user (e.g. daveh@drachtio.org)
+   * @param {Array} registrations - array of {registration, expires}, where registration is as for addRegistration
+   * and an expires of 0 removes the registration of its contact
+   * @returns {Boolean} true if the registrations were successfully updated
+   */
+  async updateRegistrations(aor, registrations) {
+    debug(`Registrar#update ${aor} with ${JSON.stringify(registrations)}`);
     const key = makeRegKey(aor);
     try {
-      const result = await this.client
-        .multi()
-        .hmset(key, obj)
-        .expire(key, expires)
-        .execAsync();
-      debug(`Registrar#add - result of adding ${aor}: ${JSON.stringify(result)}`);
-      return result[0] === 'OK';
+      const ttl = await this.client.ttlAsync(key);
+      const multi = this.client.multi();
+      let maxExpires = 0;
+      for (const {registration, expires} of registrations) {
+        const member = makeRegExpiryMember(aor, registration.contact);
+        if (0 === expires) {
+          multi.hdel(key, registration.contact).zrem(REG_EXPIRY, member);
+          continue;
+        }
+        const expiresAt = Date.now() + expires * 1000;
+        const data = Object.assign({}, registration, {aor, expiresAt});
+        delete data.expires;
+        multi
+          .hset(key, registration.contact, JSON.stringify(data))
+          .zadd(REG_EXPIRY, expiresAt, member);
+        maxExpires = Math.max(maxExpires, expires);
+      }
+      if (maxExpires) multi.expire(key, Math.max(ttl, maxExpires + REG_GRACE));
+      const result = await multi.execAsync();
+      debug(`Registrar#update - result of updating ${aor}: ${JSON.stringify(result)}`);
+      return true;
     } catch (err) {
-      this.logger.error(err, `Error adding user ${aor}`);
+      this.logger.error(err, `Error updating user ${aor}`);
       return false;
     }
   }
+
   /**
-   * Retrieve the registration details for a user
+   * Retrieve the active registrations of a user
    * @param {String} aor - the address-of-record for the user
-   * @returns {Object} an object containing the registration details for this user, or null
-   * if the user does not have an active registration.
+   * @returns {Array} the registration of each contact, with expires set to the number of seconds it has left
    */
-  async queryRegistration(aor) {
-    const key = makeRegKey(aor);
-    const result = await this.client.hgetallAsync(key);
+  async queryRegistrations(aor) {
+    const result = await this.client.hgetallAsync(makeRegKey(aor));
     debug(`Registrar#query: ${aor} returned ${JSON.stringify(result)}`);
-    return result;
+    return Object.values(result || {})
+      .map((value) => makeRegistration(value))
+      .filter((registration) => registration.expires > 0);
   }
 
   /**
-   * Remove the registration for a user
-  * @param {String} aor - the address-of-record for the user
-  * @returns {Boolean} true if the registration was successfully removed
-  */
-  async removeRegistration(aor) {
+   * Retrieve the registration of one contact of a user, even if it has expired (but not yet been removed)
+   * @returns {Object} the registration, with expires set to the number of seconds it has left, or null
+   */
+  async queryRegistration(aor, contact) {
+    const value = await this.client.hgetAsync(makeRegKey(aor), contact);
+    return value ? makeRegistration(value) : null;
+  }
+
+  /**
+   * Remove the registration of a contact of a user
+   * @param {String} aor - the address-of-record for the user
+   * @param {String} contact - the contact
+   * @returns {Boolean} true if the registration was successfully removed
+   */
+  async removeRegistration(aor, contact) {
     const key = makeRegKey(aor);
-    debug(`Registrar#remove ${aor}`);
+    debug(`Registrar#remove ${aor} ${contact}`);
     try {
-      const result = await this.client.delAsync(key);
-      debug(`Registrar#remove ${aor} result: ${result}`);
-      return result === 1;
+      const result = await this.client.multi()
+        .hdel(key, contact)
+        .zrem(REG_EXPIRY, makeRegExpiryMember(aor, contact))
+        .execAsync();
+      debug(`Registrar#remove ${aor} ${contact} result: ${result}`);
+      return result[0] === 1;
     } catch (err) {
-      this.logger.error(err, `Error removing aor ${aor}`);
+      this.logger.error(err, `Error removing aor ${aor} contact ${contact}`);
       return false;
     }
   }
 
+  /**
+   * Find the registered contacts that have expired
+   * @param {Number} now - the current time, in milliseconds since the epoch
+   * @returns {Array} array of {aor, contact}
+   */
+  async getExpiredRegistrations(now) {
+    const members = await this.client.zrangebyscoreAsync(REG_EXPIRY, '-inf', now);
+    return members.map((member) => {
+      const [aor, contact] = JSON.parse(member);
+      return {aor, contact};
+    });
+  }
+
+  /**
+   * Claim an expired contact, so that it is processed by only one instance
+   * @returns {Boolean} true if the caller now owns the expired contact
+   */
+  async claimRegistration(aor, contact) {
+    const reply = await this.client.zremAsync(REG_EXPIRY, makeRegExpiryMember(aor, contact));
+    return reply === 1;
+  }
+
+  /**
+   * Publish a message to a redis channel, e.g. to let an event package know about a registration change
+   * @param {String} channel - the redis channel
+   * @param {String} msg - the message
+   * @returns {Number} the number of clients that received the message
+   */
+  async publish(channel, msg) {
+    debug(`Db#publish ${channel}: ${msg}`);
+    try {
+      return await this.client.publishAsync(channel, msg);
+    } catch (err) {
+      this.logger.error(err, `Error publishing to ${channel}`);
+    }
+  }
+
   async keys(prefix) {
     try {
       prefix = prefix || '*';
@@ -135,11 +240,13 @@ class RedisDb extends Emitter {
     }
   }
 
-  // TODO: change to use SCAN for performance
+  /**
+   * @returns {Number} the number of address-of-records with at least one contact whose registration has not expired
+   */
   async getCountOfRegistrations() {
     try {
-      const result = await this.client.keysAsync('reg:*');
-      return result.length;
+      const members = await this.client.zrangebyscoreAsync(REG_EXPIRY, Date.now(), '+inf');
+      return new Set(members.map((member) => JSON.parse(member)[0])).size;
     } catch (err) {
       this.logger.error(err, 'Error retrieving registered users');
     }
@@ -160,6 +267,10 @@ class RedisDb extends Emitter {
    *
    * The secondary index is the entity tag, so we can look up event state either by aor or by entity tag
    *
+   * The hash expires (by its redis TTL) when the publication does; so that subscribers can be told, each event
+   * state is also in the sorted set event-expiry, scored by the time it expires (in milliseconds since the epoch),
+   * as the member JSON.stringify([aor, event type]) (see RedisDb#getExpiredEventStates).
+   *
    * II. Subscriptions
    * Subscriptions are maintained in a redis hash consisting of:
    *   - subscriber aor (address of record of subscriber)
@@ -168,14 +279,15 @@ class RedisDb extends Emitter {
    *   - id (if provided in the Event header of the SUBSCRIBE request)
    *   - SIP Call-ID of SUBSCRIBE dialog
    *   - Accept header (if provided in SUBSCRIBE)
+   *   - stack dialog id of the SUBSCRIBE dialog, used to send NOTIFYs
    *  The hash is keyed by sub:${uuid} where uuid is randomly generated
    *
-   * we need to retrieve subscriptions in the following ways:
-   *   - by subscriber aor, resource aor, event type, and id
-   *   - by subscriber aor, resource aor, event type, and call-id
-   * to do this we have the following keys:
-   *   subkeyid:${res-aor}:${event type}:${sub-aor}:${id}
-   *   subkeydlg:${res-aor}:${event type}:${sub-aor}:${call-id}
+   * A subscription is identified by its SUBSCRIBE dialog and the id parameter of its Event header (RFC 6665),
+   * so a subscriber may have several independent subscriptions to the same resource (e.g. from a desk phone
+   * and a softphone, or several in one dialog with different ids), each with its own expiry.
+   * We retrieve subscriptions by subscriber aor, resource aor, event type, call-id and id using the key
+   *   subkeydlg:${res-aor}:${event type}:${sub-aor}:${call-id}:${id, or empty if none}
+   * whose value is the key of the hash.
    */
 
   async addEventState(aor, expiry, eventType, contentType, content) {
@@ -193,18 +305,26 @@ class RedisDb extends Emitter {
       .hmset(key, data)
       .expire(key, expiry)
       .zadd(ZSET, parseInt(etag), key)
+      .zadd(EVENT_EXPIRY, Date.now() + expiry * 1000, makeEventExpiryMember(aor, eventType))
       .execAsync();
     debug(`replies from adding state for key ${key}: ${replies}`);
     return data;
   }
 
-  async getEventState(subscriber, aor, eventType) {
+  /**
+   * Retrieve the event state of a resource
+   * @param {String} subscriber - the subscriber it is for, if any
+   * @param {String} aor - the resource
+   * @param {String} eventType - event package
+   * @param {String} contentType - the content type negotiated for the subscription, if any
+   * @param {Object} subscription - the subscription it is for, if any (e.g. {callId, id}), so that event packages
+   * can keep the state of each subscription (such as the version of the document sent) separately
+   */
+  async getEventState(subscriber, aor, eventType, contentType, subscription) {
     // check for overrides / custom event package handling
     if (this.eventPackages[eventType]) {
       debug(`getEventState: custom event package behavior for ${eventType}`);
-      assert.ok(typeof this.eventPackages[eventType].getEventState === 'function',
-        `${eventType} package missing implementation of getEventState`);
-      return await this.eventPackages[eventType].getEventState(subscriber, aor);
+      return await this.eventPackages[eventType].getEventState(subscriber, aor, contentType, subscription);
     }
     const key = makeEventStateKey(aor, eventType);
     const obj = await this.client.hgetallAsync(key);
@@ -234,6 +354,7 @@ class RedisDb extends Emitter {
       .expire(key, expiry)
       .zrem(ZSET, key)
       .zadd(ZSET, parseInt(etag), key)
+      .zadd(EVENT_EXPIRY, Date.now() + expiry * 1000, makeEventExpiryMember(aor, eventType))
       .execAsync();
     debug(`Db#refreshEventState: replies ${JSON.stringify(replies)}`);
     return etag;
@@ -243,6 +364,7 @@ class RedisDb extends Emitter {
     const key = makeEventStateKey(data.aor, data.eventType);
     const etag = data.etag = generateETag();
     data.content = content;
+    if (contentType) data.contentType = contentType;
     debug(`Db#modifyEventState: refeshing event state for key ${key} with expiry ${expiry} and new etag: ${etag}`);
     debug(`Db#modifyEventState: new event state: ${JSON.stringify(data)}`);
     const replies = await this.client.multi()
@@ -250,6 +372,7 @@ class RedisDb extends Emitter {
       .expire(key, expiry)
       .zrem(ZSET, key)
       .zadd(ZSET, parseInt(etag), key)
+      .zadd(EVENT_EXPIRY, Date.now() + expiry * 1000, makeEventExpiryMember(data.aor, data.eventType))
       .execAsync();
     debug(`Db#modifyEventState: replies ${JSON.stringify(replies)}`);
     return etag;
@@ -262,31 +385,41 @@ class RedisDb extends Emitter {
     const replies = await this.client.multi()
       .del(key)
       .zrem(ZSET, key)
+      .zrem(EVENT_EXPIRY, makeEventExpiryMember(data.aor, data.eventType))
       .execAsync();
     debug(`Db#removeEventState: replies ${JSON.stringify(replies)}`);
     return data.aor;
   }
 
-  async purgeExpired() {
-    let nExpired = 0 ;
-    const cmd = [ZSET, '-inf', '+inf'];
-    const arr = await this.client.zrangebyscoreAsync(cmd);
-    debug(`Db#purgeExpired - checking ${arr.length} sorted set items`);
+  /**
+   * Find the published event state that has expired
+   * @param {Number} now - the current time, in milliseconds since the epoch
+   * @returns {Array} array of {aor, eventType}
+   */
+  async getExpiredEventStates(now) {
+    const members = await this.client.zrangebyscoreAsync(EVENT_EXPIRY, '-inf', now);
+    return members.map((member) => {
+      const [aor, eventType] = JSON.parse(member);
+      return {aor, eventType};
+    });
+  }
 
-    for (const aor of arr) {
-      try {
-        const obj = await this.client.hgetallAsync(aor);
-        if (!obj) {
-          debug(`Db#purgeExpired - removing expired item ${aor}`);
-          const reply = this.client.zremAsync([ZSET, aor]);
-          nExpired++;
-          debug(`Db#purgeExpired removed entry ${aor}: ${reply}`);
-        }
-      } catch (err) {
-        this.logger.error(`Db#purgeExpired error checking existence of key ${aor}: ${err}`);
-      }
+  /**
+   * Claim expired event state, so that it is processed by only one instance, and remove its entity tag;
+   * if it has been refreshed since it was found to have expired, it is left as it is
+   * @returns {Boolean} true if the caller now owns the expired event state
+   */
+  async claimEventState(aor, eventType) {
+    const member = makeEventExpiryMember(aor, eventType);
+    if (1 !== await this.client.zremAsync(EVENT_EXPIRY, member)) return false;
+    const key = makeEventStateKey(aor, eventType);
+    const ttl = await this.client.pttlAsync(key);
+    if (ttl > 0) {
+      await this.client.zaddAsync(EVENT_EXPIRY, Date.now() + ttl, member);
+      return false;
     }
-    return nExpired;
+    await this.client.zremAsync(ZSET, key);
+    return true;
   }
 
   async getCountOfEtags() {
@@ -326,6 +459,12 @@ class RedisDb extends Emitter {
   /** Subscriptions */
 
   async findSubscriptions(resource, event) {
+    // check for event package override
+    if (this.eventPackages[event] && this.eventPackages[event].findSubscriptions) {
+      debug(`findSubscriptions: custom event package behavior for ${event}`);
+      return await this.eventPackages[event].findSubscriptions(resource);
+    }
+
     const key = makeSubStateKeyWildCard(resource, event);
     const dlgKeys = await this.client.keysAsync(key);
     debug(`Db#findSubscriptionsForEvent: retrieved subscription keys ${dlgKeys} for key: ${key}`);
@@ -351,85 +490,597 @@ class RedisDb extends Emitter {
     // check for event package override
     if (this.eventPackages[obj.eventType]) {
       debug(`addSubscription: custom event package behavior for ${obj.eventType}`);
-      assert.ok(typeof this.eventPackages[obj.eventType].addSubscription === 'function',
-        `${obj.eventType} package missing implementation of addSubscription`);
       obj.override = true;
       return await this.eventPackages[obj.eventType].addSubscription(dlg, obj, expiry);
     }
 
-    const key = makeSubStateKey();
-    const keyDialog = makeSubStateKeyDialog(obj.subscriber, obj.resource, obj.eventType, obj.callId);
+    // save the stack dialog id so we can send NOTIFYs outside of the SUBSCRIBE handler (e.g. on PUBLISH)
+    obj.dialogId = dlg.id;
+
+    const key = makeSubStateKey(obj.resource);
+    const keyDialog = makeSubStateKeyDialog(obj.subscriber, obj.resource, obj.eventType, obj.callId, obj.id);
 
     debug(`db#addSubscription ${key} and ${keyDialog} with expiry ${expiry} for ${JSON.stringify(obj)}`);
-    const multi = this.client.multi()
+    const replies = await this.client.multi()
       .hmset(key, obj)
       .set(keyDialog, key)
       .expire(key, expiry)
-      .expire(keyDialog, expiry);
-    if (obj.id) {
-      const keyId = makeSubStateKeyId(obj.subscriber, obj.resource, obj.eventType, obj.id);
-      multi
-        .set(keyId, key)
-        .expire(keyId, expiry);
-    }
-    const replies = await multi.execAsync();
+      .expire(keyDialog, expiry)
+      .execAsync();
     debug(`Db#addSubscription: replies ${JSON.stringify(replies)}`);
     return obj;
   }
 
+  /**
+   * Extend a subscription, keeping what its event package knows of it (e.g. the version of the last document
+   * sent); a subscription that can not be extended (because it has expired, or its package can not) is saved afresh
+   */
+  async refreshSubscription(dlg, obj, expiry) {
+    const pkg = this.eventPackages[obj.eventType];
+    if (pkg && pkg.refreshSubscription && await pkg.refreshSubscription(obj, expiry)) {
+      debug(`Db#refreshSubscription: refreshed ${obj.resource}:${obj.eventType} for ${expiry}s`);
+      return;
+    }
+    await this.removeSubscription(obj);
+    await this.addSubscription(dlg, obj, expiry);
+  }
+
   async removeSubscription(obj) {
     // check for event package override
     if (this.eventPackages[obj.eventType]) {
       debug(`removeSubscription: custom event package behavior for ${obj.eventType}`);
-      assert.ok(typeof this.eventPackages[obj.eventType].removeSubscription === 'function',
-        `${obj.eventType} package missing implementation of removeSubscription`);
       obj.override = true;
       return await this.eventPackages[obj.eventType].removeSubscription(obj);
     }
 
-    const keyDialog = makeSubStateKeyDialog(obj.subscriber, obj.resource, obj.eventType, obj.callId);
+    const keyDialog = makeSubStateKeyDialog(obj.subscriber, obj.resource, obj.eventType, obj.callId, obj.id);
     const value = await this.client.getAsync(keyDialog);
     debug(`db.removeSubscription: retrieved value ${value} for key ${keyDialog}`);
-    const multi = this.client.multi()
-      .del(keyDialog)
-      .del(value);
-    if (obj.id) {
-      const keyId = makeSubStateKeyId(obj.subscriber, obj.resource, obj.eventType, obj.id);
-      multi.del(keyId);
-    }
+    const multi = this.client.multi().del(keyDialog);
+    if (value) multi.del(value);
     const replies = await multi.execAsync();
     debug(`Db#removeSubscription: replies ${JSON.stringify(replies)}`);
   }
 
+  /**
+   * Subscription dialogs data model:
+   *
+   * Each SUBSCRIBE dialog is recorded in a hash keyed by sub-dlg:${stack dialog id}, which holds the
+   * subscription (subscriber, resource, event type, id, accept, call-id) and whether the resource is a
+   * resource list.  The sorted set sub-dlgs contains the stack dialog ids of all recorded dialogs,
+   * scored by the time (in milliseconds since the epoch) that the subscription expires.
+   *
+   * The hash is kept for a short while after the subscription expires, so that whichever process
+   * claims the expired subscription from the sorted set can still send the final NOTIFY.
+   *
+   * The hash also records the instance that owns the dialog (i.e. that NOTIFYs should be sent from),
+   * and the set owned-dlgs:${instance id} contains the stack dialog ids of the dialogs owned by an instance.
+   * Similarly, the sorted set tenant-dlgs:${tenant name} contains the stack dialog ids of the dialogs subscribed to
+   * the resources of a tenant (and any reservations for dialogs about to be added), scored by the time they
+   * expire, so that its number of subscriptions can be limited (see RedisDb#reserveTenantSubscription), and
+   * the set res-dlgs:${resource aor} contains the stack dialog ids of the dialogs subscribed to a resource.
+   *
+   * The hash also counts the consecutive NOTIFYs on the dialog that have failed (see lib/notifier.js).
+   *
+   * The hash sub-counts counts the recorded dialogs by event type and status, in fields ${event type}:${status},
+   * so that they can be counted cheaply (see lib/metrics.js).  The hash sub-counted maps the stack dialog id of
+   * each recorded dialog to the field it is counted in, so that it is uncounted when it is removed, even if its
+   * hash has already expired.
+   *
+   * Finally, the hash records the status of the subscription ('active', or 'pending' while the watcher
+   * awaits authorization) and when it was created.  A 'watcherChange' event with {eventType, aor} is emitted
+   * whenever a subscription dialog is added, changed or removed, so that the watcherinfo of the resource
+   * can be notified (see lib/events/packages/winfo.js).
+   */
+
+  async addSubscriptionDialog(dialogId, obj, expiry, resourceList, status = 'active') {
+    const key = makeSubDialogKey(dialogId);
+    const owner = getInstanceId();
+    const [previousOwner, subscribedAt] = await this.client.hmgetAsync(key, 'owner', 'subscribedAt');
+    const counted = await this.client.hgetAsync(SUB_COUNTED, dialogId);
+    const data = Object.assign({}, obj, {
+      dialogId,
+      owner,
+      resourceList: resourceList ? 1 : 0,
+      status,
+      subscribedAt: subscribedAt || Date.now()
+    });
+    const multi = this.client.multi();
+    if (previousOwner && previousOwner !== owner) multi.srem(makeOwnedDialogsKey(previousOwner), dialogId);
+    if (counted) multi.hincrby(SUB_COUNTS, counted, -1);
+    const replies = await multi
+      .hincrby(SUB_COUNTS, makeSubCountField(obj.eventType, status), 1)
+      .hset(SUB_COUNTED, dialogId, makeSubCountField(obj.eventType, status))
+      .zadd(SUB_DIALOGS, Date.now() + expiry * 1000, dialogId)
+      .sadd(makeOwnedDialogsKey(owner), dialogId)
+      .zadd(makeTenantDialogsKey(getTenantOfAor(obj.resource)), Date.now() + expiry * 1000, dialogId)
+      .sadd(makeResourceDialogsKey(obj.resource), dialogId)
+      .del(key)
+      .hmset(key, data)
+      .expire(key, expiry + SUB_DIALOG_GRACE)
+      .execAsync();
+    debug(`Db#addSubscriptionDialog: replies ${JSON.stringify(replies)}`);
+    this.emit('watcherChange', {eventType: obj.eventType, aor: obj.resource});
+  }
+
+  async removeSubscriptionDialog(dialogId) {
+    const key = makeSubDialogKey(dialogId);
+    const [owner, eventType, resource] = await this.client.hmgetAsync(key, 'owner', 'eventType', 'resource');
+    const counted = await this.client.hgetAsync(SUB_COUNTED, dialogId);
+    const multi = this.client.multi();
+    if (owner) multi.srem(makeOwnedDialogsKey(owner), dialogId);
+    if (counted) multi.hincrby(SUB_COUNTS, counted, -1).hdel(SUB_COUNTED, dialogId);
+    if (resource) {
+      multi
+        .zrem(makeTenantDialogsKey(getTenantOfAor(resource)), dialogId)
+        .srem(makeResourceDialogsKey(resource), dialogId);
+    }
+    const replies = await multi
+      .zrem(SUB_DIALOGS, dialogId)
+      .del(key)
+      .execAsync();
+    debug(`Db#removeSubscriptionDialog: replies ${JSON.stringify(replies)}`);
+    if (resource) this.emit('watcherChange', {eventType, aor: resource});
+  }
+
+  /**
+   * Change the status of a subscription, e.g. from 'pending' to 'active' when the watcher is authorized
+   * @param {String} dialogId - stack dialog id
+   * @param {String} status - 'active' or 'pending'
+   * @returns {Boolean} true if the subscription dialog was found
+   */
+  async setSubscriptionDialogStatus(dialogId, status) {
+    const key = makeSubDialogKey(dialogId);
+    const [eventType, resource] = await this.client.hmgetAsync(key, 'eventType', 'resource');
+    const counted = await this.client.hgetAsync(SUB_COUNTED, dialogId);
+    if (!resource) return false;
+    const multi = this.client.multi().hset(key, 'status', status);
+    if (counted) multi.hincrby(SUB_COUNTS, counted, -1);
+    await multi
+      .hincrby(SUB_COUNTS, makeSubCountField(eventType, status), 1)
+      .hset(SUB_COUNTED, dialogId, makeSubCountField(eventType, status))
+      .execAsync();
+    this.emit('watcherChange', {eventType, aor: resource});
+    return true;
+  }
+
+  /**
+   * Transfer ownership of all of the subscription dialogs owned by one instance to another
+   * @param {String} from - the instance id of the current owner
+   * @param {String} to - the instance id of the new owner
+   * @returns {Array} the stack dialog ids of the subscription dialogs that were transferred
+   */
+  async reassignSubscriptionDialogs(from, to) {
+    const dialogIds = await this.client.smembersAsync(makeOwnedDialogsKey(from));
+    const reassigned = [];
+    for (const dialogId of dialogIds) {
+      const key = makeSubDialogKey(dialogId);
+      const multi = this.client.multi().srem(makeOwnedDialogsKey(from), dialogId);
+      if (await this.client.existsAsync(key)) {
+        multi
+          .hset(key, 'owner', to)
+          .sadd(makeOwnedDialogsKey(to), dialogId);
+        reassigned.push(dialogId);
+      }
+      await multi.execAsync();
+    }
+    debug(`Db#reassignSubscriptionDialogs: reassigned ${reassigned.length} dialogs from ${from} to ${to}`);
+    return reassigned;
+  }
+
+  /**
+   * Retrieve a recorded subscription dialog
+   * @param {String} dialogId - stack dialog id
+   * @returns {Object} {dialogId, subscription, resourceList, owner, status, subscribedAt, notifyFailures, expires},
+   * or null if there is no such dialog; expires is 0 if the subscription has expired (and is being terminated)
+   */
+  async getSubscriptionDialog(dialogId) {
+    const [data, score] = await this.client.multi()
+      .hgetall(makeSubDialogKey(dialogId))
+      .zscore(SUB_DIALOGS, dialogId)
+      .execAsync();
+    if (!data) return null;
+    return makeSubscriptionDialog(dialogId, data, score);
+  }
+
+  /**
+   * Count a failed NOTIFY on a subscription dialog
+   * @returns {Number} the number of consecutive failures, or 0 if there is no such dialog
+   */
+  async countSubscriptionDialogFailure(dialogId) {
+    const key = makeSubDialogKey(dialogId);
+    if (!await this.client.existsAsync(key)) return 0;
+    return await this.client.hincrbyAsync(key, 'notifyFailures', 1);
+  }
+
+  /**
+   * A NOTIFY on a subscription dialog succeeded, so forget its failures
+   */
+  async resetSubscriptionDialogFailures(dialogId) {
+    await this.client.hdelAsync(makeSubDialogKey(dialogId), 'notifyFailures');
+  }
+
+  /**
+   * Make an instance the owner of a subscription dialog, e.g. because the subscriber has connected to it
+   * @param {String} dialogId - stack dialog id
+   * @param {String} owner - instance id of the new owner
+   * @returns {Boolean} true if the subscription dialog was found
+   */
+  async setSubscriptionDialogOwner(dialogId, owner) {
+    const key = makeSubDialogKey(dialogId);
+    const previousOwner = await this.client.hgetAsync(key, 'owner');
+    if (!previousOwner) return false;
+    const replies = await this.client.multi()
+      .srem(makeOwnedDialogsKey(previousOwner), dialogId)
+      .hset(key, 'owner', owner)
+      .sadd(makeOwnedDialogsKey(owner), dialogId)
+      .execAsync();
+    debug(`Db#setSubscriptionDialogOwner: replies ${JSON.stringify(replies)}`);
+    return true;
+  }
+
+  /**
+   * Retrieve all recorded subscription dialogs
+   * @returns {Array} array of {dialogId, subscription, resourceList, owner, status, subscribedAt, expires}
+   * where expires is the number of seconds remaining in the subscription
+   */
+  async getSubscriptionDialogs() {
+    const arr = await this.client.zrangeAsync(SUB_DIALOGS, 0, -1, 'WITHSCORES');
+    const results = [];
+    for (let i = 0; i < arr.length; i += 2) {
+      const dialogId = arr[i];
+      const data = await this.client.hgetallAsync(makeSubDialogKey(dialogId));
+      if (!data) {
+        debug(`Db#getSubscriptionDialogs: ${dialogId} has expired`);
+        await this.removeSubscriptionDialog(dialogId);
+        continue;
+      }
+      results.push(makeSubscriptionDialog(dialogId, data, arr[i + 1]));
+    }
+    return results;
+  }
+
+  /**
+   * Count the recorded subscription dialogs by event type and status
+   * @returns {Array} array of {eventType, status, count}
+   */
+  async getSubscriptionCounts() {
+    const counts = await this.client.hgetallAsync(SUB_COUNTS) || {};
+    return Object.keys(counts).map((field) => {
+      const [eventType, status] = field.split(':');
+      return {eventType, status, count: Math.max(0, parseInt(counts[field]))};
+    });
+  }
+
+  /**
+   * Retrieve the subscription dialogs subscribed to a resource (for any event package)
+   * @param {String} resource - the address-of-record subscribed to
+   * @returns {Array} array of subscription dialogs (see getSubscriptionDialog)
+   */
+  async getResourceSubscriptionDialogs(resource) {
+    const key = makeResourceDialogsKey(resource);
+    const dialogIds = await this.client.smembersAsync(key);
+    const results = [];
+    for (const dialogId of dialogIds) {
+      const record = await this.getSubscriptionDialog(dialogId);
+      if (record) results.push(record);
+      else await this.client.sremAsync(key, dialogId);
+    }
+    return results;
+  }
+
+  /**
+   * Retrieve the subscription dialogs owned by an instance
+   * @param {String} owner - instance id
+   * @returns {Array} array of subscription dialogs (see getSubscriptionDialog)
+   */
+  async getOwnedSubscriptionDialogs(owner) {
+    const dialogIds = await this.client.smembersAsync(makeOwnedDialogsKey(owner));
+    const results = [];
+    for (const dialogId of dialogIds) {
+      const record = await this.getSubscriptionDialog(dialogId);
+      if (record) results.push(record);
+    }
+    return results;
+  }
+
+  /**
+   * Retrieve the stack dialog ids of subscriptions that have expired
+   * @param {Number} now - current time, in milliseconds since the epoch
+   */
+  async getExpiredSubscriptionDialogs(now) {
+    return await this.client.zrangebyscoreAsync(SUB_DIALOGS, '-inf', now);
+  }
+
+  /**
+   * Claim an expired subscription dialog, so that it is processed by only one instance
+   * @returns {Boolean} true if the caller now owns the expired subscription
+   */
+  async claimSubscriptionDialog(dialogId) {
+    const reply = await this.client.zremAsync(SUB_DIALOGS, dialogId);
+    return reply === 1;
+  }
+
+  /**
+   * Resource lists data model:
+   *
+   * Each list is a redis list of the aors of its members, keyed by rls-list:${list aor}, and for each aor that
+   * is a member of any list, the set rls-member:${aor} contains the aors of the lists it is a member of, so that
+   * the subscribers to those lists can be found when its state changes (see lib/rls.js).
+   * Lists should only be changed with the methods below (e.g. through the admin API), which keep both up to date.
+   */
+
+  /**
+   * Create or replace a resource list
+   * @param {String} aor - the address-of-record of the list (e.g. sales-blf@drachtio.org)
+   * @param {Array} members - the address-of-records of the members of the list, in order
+   */
+  async addResourceList(aor, members) {
+    const key = makeResourceListKey(aor);
+    const previous = await this.client.lrangeAsync(key, 0, -1) || [];
+    const multi = this.client.multi().del(key);
+    previous.forEach((member) => multi.srem(makeResourceListMemberKey(member), aor));
+    if (members.length) multi.rpush(key, members);
+    members.forEach((member) => multi.sadd(makeResourceListMemberKey(member), aor));
+    const replies = await multi.execAsync();
+    debug(`Db#addResourceList: replies ${JSON.stringify(replies)}`);
+  }
+
+  /**
+   * Retrieve the members of a resource list
+   * @param {String} aor - the address-of-record of the list
+   * @returns {Array} the address-of-records of the members of the list (empty if there is no such list)
+   */
+  async getResourceList(aor) {
+    const members = await this.client.lrangeAsync(makeResourceListKey(aor), 0, -1);
+    debug(`Db#getResourceList: members of ${aor}: ${JSON.stringify(members)}`);
+    return members || [];
+  }
+
+  /**
+   * Retrieve the resource lists that an aor is a member of
+   * @returns {Array} the address-of-records of the lists
+   */
+  async getResourceListsContaining(aor) {
+    return await this.client.smembersAsync(makeResourceListMemberKey(aor)) || [];
+  }
+
+  /**
+   * Remove a resource list
+   * @returns {Boolean} true if there was such a list
+   */
+  async removeResourceList(aor) {
+    const key = makeResourceListKey(aor);
+    const members = await this.client.lrangeAsync(key, 0, -1) || [];
+    const multi = this.client.multi().del(key);
+    members.forEach((member) => multi.srem(makeResourceListMemberKey(member), aor));
+    const replies = await multi.execAsync();
+    debug(`Db#removeResourceList: replies ${JSON.stringify(replies)}`);
+    return replies[0] === 1;
+  }
+
+  /**
+   * Watcher authorization rules data model:
+   *
+   * The rules for each resource are kept in a hash keyed by watcher-rules:${resource aor},
+   * which maps the aor of a watcher to 'allow', 'block' or 'pending' (see lib/authorization.js).
+   */
+
+  /**
+   * Set the rule for a watcher of a resource
+   * @param {String} resource - the address-of-record being watched
+   * @param {String} watcher - the address-of-record of the watcher
+   * @param {String} rule - 'allow', 'block' or 'pending'
+   */
+  async setWatcherRule(resource, watcher, rule) {
+    const reply = await this.client.hsetAsync(makeWatcherRulesKey(resource), watcher, rule);
+    debug(`Db#setWatcherRule: reply ${reply}`);
+  }
+
+  /**
+   * Retrieve the rule for a watcher of a resource
+   * @returns {String} the rule, or null if there is no rule for the watcher
+   */
+  async getWatcherRule(resource, watcher) {
+    return await this.client.hgetAsync(makeWatcherRulesKey(resource), watcher);
+  }
+
+  /**
+   * Retrieve all of the watcher rules for a resource
+   * @returns {Object} the rule for each watcher, keyed by watcher aor
+   */
+  async getWatcherRules(resource) {
+    return await this.client.hgetallAsync(makeWatcherRulesKey(resource)) || {};
+  }
+
+  async removeWatcherRule(resource, watcher) {
+    const reply = await this.client.hdelAsync(makeWatcherRulesKey(resource), watcher);
+    debug(`Db#removeWatcherRule: reply ${reply}`);
+    return reply === 1;
+  }
+
+  /**
+   * Event history data model:
+   *
+   * Each change to the state of an aor is appended to a redis stream keyed by history:${aor}, which is capped
+   * at (about) a given number of entries and expires if the aor has no changes for a while (see lib/history.js).
+   * Each entry holds the event type, the source of the change, the version of the state of the aor in that
+   * event package after the change, and the details of the change as JSON; the entry id gives its timestamp.
+   * The current version of the state of the aor in each event package is kept in a hash keyed by
+   * history-ver:${aor}, which expires along with the stream; it is incremented and the entry appended by one
+   * script (ADD_HISTORY_SCRIPT), so each change gets its own version.  This version numbers the changes to the
+   * state; it is not the version of any document sent, since each subscription numbers its own documents (and
+   * several changes may be merged into one NOTIFY, see lib/rate-control.js).
+   */
+
+  /**
+   * Append a change to the event history of an aor
+   * @param {String} aor - the address-of-record whose state changed
+   * @param {Object} entry - {eventType, source, change}
+   * @param {Number} maxLen - the (approximate) number of entries to keep
+   * @param {Number} expiry - seconds to keep the history after the last change
+   * @returns {Object} {id, version} of the new entry
+   */
+  async addHistory(aor, {eventType, source, change}, maxLen, expiry) {
+    const key = makeHistoryKey(aor);
+    const [id, version] = await this.client.evalAsync(ADD_HISTORY_SCRIPT, 2, key, makeHistoryVersionKey(aor),
+      eventType, source || 'unknown', JSON.stringify(change || {}), maxLen, expiry);
+    debug(`Db#addHistory: added ${id} (${eventType} version ${version}) to ${key}`);
+    return {id, version};
+  }
+
+  /**
+   * Retrieve the event history of an aor, oldest first
+   * @param {String} aor - the address-of-record
+   * @param {Number} from - the earliest time to retrieve, in milliseconds since the epoch (default: the beginning)
+   * @param {Number} to - the latest time to retrieve, in milliseconds since the epoch (default: now)
+   * @returns {Array} array of {id, timestamp, eventType, source, version, change}
+   */
+  async getHistory(aor, from, to) {
+    const entries = await this.client.xrangeAsync(makeHistoryKey(aor),
+      undefined === from ? '-' : from, undefined === to ? '+' : to);
+    return (entries || []).map(([id, fields]) => {
+      const data = {};
+      for (let i = 0; i < fields.length; i += 2) data[fields[i]] = fields[i + 1];
+      return {
+        id,
+        timestamp: parseInt(id.split('-')[0]),
+        eventType: data.eventType,
+        source: data.source,
+        version: parseInt(data.version),
+        change: JSON.parse(data.change || '{}')
+      };
+    });
+  }
+
   async getCountOfSubscriptions() {
-    const keys = await this.client.keysAsync('sub:*');
-    return keys.length;
+    let count = 0;
+    for (const prefix of getKeyPrefixes()) count += (await this.client.keysAsync(`${prefix}sub:*`)).length;
+    return count;
+  }
+
+  /**
+   * Reserve one of the subscriptions that a tenant with maxSubscriptions may have at once, before adding the
+   * subscription dialog.  The reservation is added to the tenant's dialogs before they are counted, so that two
+   * instances can not both take the last one; it lapses after TENANT_RESERVATION seconds unless the dialog is
+   * added with the same id (or it is released) in the meantime.  Dialogs that have expired are dropped first.
+   * @param {Object} tenant - the tenant (see lib/tenants.js)
+   * @param {String} [id] - the stack dialog id of the dialog to be added, if it is known yet
+   * @returns {String} the id of the reservation, or null if the tenant already has its maxSubscriptions
+   */
+  async reserveTenantSubscription(tenant, id = `reserved:${translator.new()}`) {
+    if (!tenant.maxSubscriptions) return id;
+    const key = makeTenantDialogsKey(tenant);
+    const now = Date.now();
+    const replies = await this.client.multi()
+      .zremrangebyscore(key, '-inf', now)
+      .zadd(key, now + TENANT_RESERVATION * 1000, id)
+      .zcard(key)
+      .execAsync();
+    if (replies[2] <= tenant.maxSubscriptions) return id;
+    await this.client.zremAsync(key, id);
+    return null;
+  }
+
+  /**
+   * Release a reservation made by reserveTenantSubscription, once the subscription dialog has been added
+   * (or could not be)
+   * @param {Object} tenant - the tenant (see lib/tenants.js)
+   * @param {String} id - the id of the reservation
+   */
+  async releaseTenantSubscription(tenant, id) {
+    if (tenant.maxSubscriptions) await this.client.zremAsync(makeTenantDialogsKey(tenant), id);
   }
 
 }
 
 const makeRegKey = (aor) => {
-  return `reg:${aor}`;
+  return tenantKey(aor, `reg:${aor}`);
 };
 
-const makeEventStateKey = (aor, event) => {
-  return `es:${aor}:${event}`;
+const makeRegExpiryMember = (aor, contact) => {
+  return JSON.stringify([aor, contact]);
+};
+
+const makeRegistration = (value) => {
+  const registration = JSON.parse(value);
+  registration.expires = Math.round((registration.expiresAt - Date.now()) / 1000);
+  return registration;
+};
+
+const makeSubDialogKey = (dialogId) => {
+  return `sub-dlg:${dialogId}`;
+};
+
+const makeSubscriptionDialog = (dialogId, data, score) => {
+  const {resourceList, owner, status, subscribedAt, notifyFailures, ...subscription} = data;
+  delete subscription.dialogId;
+  return {
+    dialogId,
+    subscription,
+    resourceList: resourceList === '1',
+    owner,
+    status: status || 'active',
+    subscribedAt: parseInt(subscribedAt) || undefined,
+    notifyFailures: parseInt(notifyFailures) || 0,
+    expires: null === score ? 0 : Math.max(0, Math.round((parseInt(score) - Date.now()) / 1000))
+  };
 };
 
-const makeSubStateKey = () => {
-  return `sub:${translator.new()}`;
+const makeSubCountField = (eventType, status) => {
+  return `${eventType}:${status || 'active'}`;
+};
+
+const makeOwnedDialogsKey = (owner) => {
+  return `owned-dlgs:${owner}`;
+};
+
+const makeTenantDialogsKey = (tenant) => {
+  return `${tenant.prefix}tenant-dlgs:${tenant.name}`;
+};
+
+const makeResourceDialogsKey = (aor) => {
+  return tenantKey(aor, `res-dlgs:${aor}`);
+};
+
+const makeWatcherRulesKey = (aor) => {
+  return tenantKey(aor, `watcher-rules:${aor}`);
+};
+
+const makeHistoryKey = (aor) => {
+  return tenantKey(aor, `history:${aor}`);
+};
+
+const makeHistoryVersionKey = (aor) => {
+  return tenantKey(aor, `history-ver:${aor}`);
+};
+
+const makeResourceListKey = (aor) => {
+  return tenantKey(aor, `rls-list:${aor}`);
+};
+
+const makeResourceListMemberKey = (aor) => {
+  return tenantKey(aor, `rls-member:${aor}`);
+};
+
+const makeEventExpiryMember = (aor, event) => {
+  return JSON.stringify([aor, event]);
+};
+
+const makeEventStateKey = (aor, event) => {
+  return tenantKey(aor, `es:${aor}:${event}`);
 };
 
-const makeSubStateKeyId = (subscriber, resource, event, id) => {
-  return `subkeyid:${resource}:${event}:${subscriber}:${id}`;
+const makeSubStateKey = (resource) => {
+  return tenantKey(resource, `sub:${translator.new()}`);
 };
 
-const makeSubStateKeyDialog = (subscriber, resource, event, callid) => {
-  return `subkeydlg:${resource}:${event}:${subscriber}:${callid}`;
+const makeSubStateKeyDialog = (subscriber, resource, event, callid, id) => {
+  return tenantKey(resource, `subkeydlg:${resource}:${event}:${subscriber}:${callid}:${id || ''}`);
 };
 
 const makeSubStateKeyWildCard = (resource, event) => {
-  return `subkeydlg:${resource}:${event}:*`;
+  return tenantKey(resource, `subkeydlg:${resource}:${event}:*`);
 };
 
 
@@ -0,0 +1,191 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {parseAor, generateMessageId, getDefaultRegisterExpiry, getMinRegisterExpiry} = require('./utils');
+const CHANNEL = 'reg';
+
+/**
+ * @module register
+ * @see https://tools.ietf.org/html/rfc3261#section-10
+ *
+ * This module exposes a basic registrar.  Each address-of-record may have several contacts (e.g. a desk phone
+ * and a softphone), each registered, refreshed and removed on its own; a REGISTER with Contact: * and Expires: 0
+ * removes them all.  The contacts of a REGISTER are changed together: if they can not all be saved, none are,
+ * and the request fails with a 500.  Every response lists the contacts currently registered, with the seconds
+ * each has left.
+ * If the request was authenticated (see lib/auth.js), a user may only register their own address-of-record.
+ *
+ * Every change in registration state is published to the 'reg' redis channel as:
+ *
+ *   {"version": 1, "messageId": ${id}, "aor": ${aor}, "event": ${event}, "contact": ${contact}, "expires": ${expires}}
+ *
+ * (see lib/events/schemas/reg-v1.json; the messageId makes each message unique, see lib/cluster.js),
+ * where event is one of 'registered', 'refreshed', 'expired' or 'unregistered' as per RFC 3680,
+ * so that the 'reg' event package can notify its subscribers.
+ *
+ * Contacts are expired from redis (see RedisDb#getExpiredRegistrations) by lib/expiry.js, so that they expire
+ * even if this instance restarts, and each expiry is handled by exactly one instance.
+ */
+
+const publishEvent = (redisDb, aor, event, contact, expires) => {
+  const messageId = generateMessageId();
+  return redisDb.publish(CHANNEL, JSON.stringify({version: 1, messageId, aor, event, contact, expires}));
+};
+
+module.exports = function(logger) {
+
+  return (req, res) => {
+    if (!validate(logger, req, res)) return;
+
+    if (!req.registration.contacts) query(logger, req, res);
+    else if ('*' === req.registration.contacts) unregisterAll(logger, req, res);
+    else register(logger, req, res);
+  };
+};
+
+const register = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {aor, contacts} = req.registration;
+  logger.info(req.registration, 'register#register');
+
+  try {
+    const events = [];
+    const registrations = [];
+    for (const {contact, expires} of contacts) {
+      const existing = await redisDb.queryRegistration(aor, contact);
+      if (0 === expires) {
+        if (existing) {
+          registrations.push({registration: {contact}, expires});
+          events.push({event: 'unregistered', contact, expires});
+        }
+        continue;
+      }
+      const event = existing && existing.expires > 0 ? 'refreshed' : 'registered';
+      const obj = {
+        contact,
+        sbcAddress: req.server ? req.server.hostport : '',
+        protocol: req.protocol,
+        proxy: `${req.source_address}:${req.source_port}`,
+        registeredAt: 'refreshed' === event && existing.registeredAt ? existing.registeredAt : Date.now()
+      };
+      registrations.push({registration: obj, expires});
+      events.push({event, contact, expires});
+    }
+    /* all the contacts are changed, or none of them */
+    if (registrations.length && !await redisDb.updateRegistrations(aor, registrations)) return res.send(500);
+
+    res.send(200, {headers: makeContactHeaders(await redisDb.queryRegistrations(aor))});
+    for (const {event, contact, expires} of events) await publishEvent(redisDb, aor, event, contact, expires);
+  } catch (err) {
+    logger.error(err, `register#register: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+/**
+ * REGISTER with Contact: * and Expires: 0: remove every contact of the aor
+ */
+const unregisterAll = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {aor} = req.registration;
+  logger.info(req.registration, 'register#unregisterAll');
+
+  try {
+    const existing = await redisDb.queryRegistrations(aor);
+    for (const {contact} of existing) await redisDb.removeRegistration(aor, contact);
+    res.send(200);
+    for (const {contact} of existing) await publishEvent(redisDb, aor, 'unregistered', contact, 0);
+  } catch (err) {
+    logger.error(err, `register#unregisterAll: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+/**
+ * REGISTER without a Contact header: return the current bindings, if any
+ */
+const query = async(logger, req, res) => {
+  const {redisDb} = req.srf.locals;
+  const {aor} = req.registration;
+
+  try {
+    const existing = await redisDb.queryRegistrations(aor);
+    debug(`register#query: current registrations for ${aor}: ${JSON.stringify(existing)}`);
+    res.send(200, {headers: makeContactHeaders(existing)});
+  } catch (err) {
+    logger.error(err, `register#query: Error: ${err}`);
+    res.send(500);
+  }
+};
+
+const makeContactHeaders = (registrations) => {
+  if (0 === registrations.length) return {};
+  return {'Contact': registrations.map(({contact, expires}) => `<${contact}>;expires=${expires}`).join(', ')};
+};
+
+/**
+ * Remove the contacts whose registrations have expired, and publish an 'expired' event for each;
+ * called periodically by lib/expiry.js
+ */
+const expireRegistrations = async(logger, srf) => {
+  const {redisDb} = srf.locals;
+  for (const {aor, contact} of await redisDb.getExpiredRegistrations(Date.now())) {
+    if (!await redisDb.claimRegistration(aor, contact)) continue;
+    try {
+      const existing = await redisDb.queryRegistration(aor, contact);
+      if (existing && existing.expires > 0) {
+        /* refreshed since we looked */
+        await redisDb.addRegistration(aor, existing, existing.expires);
+        continue;
+      }
+      if (existing) await redisDb.removeRegistration(aor, contact);
+      logger.info(`registration for ${aor} at ${contact} has expired`);
+      await publishEvent(redisDb, aor, 'expired', contact, 0);
+    } catch (err) {
+      logger.error(err, `register#expireRegistrations: Error expiring ${aor} at ${contact}`);
+    }
+  }
+};
+
+function validate(logger, req, res) {
+  const to = req.getParsedHeader('to');
+  const aor = parseAor(to.uri, req.source_address);
+  if (req.authorization && req.authorization.aor !== aor) {
+    logger.info(`REGISTER for ${aor} authenticated as ${req.authorization.aor}: ${req.get('Call-ID')}`);
+    res.send(403);
+    return false;
+  }
+
+  let contacts;
+  let expires = req.has('Expires') ? parseInt(req.get('Expires')) : undefined;
+  if (undefined === expires || isNaN(expires)) expires = getDefaultRegisterExpiry();
+  if (req.has('Contact')) {
+    if ('*' === req.get('Contact').trim()) {
+      if (!req.has('Expires') || 0 !== parseInt(req.get('Expires'))) {
+        logger.info(`REGISTER with Contact: * must have Expires: 0: ${req.get('Call-ID')}`);
+        res.send(400);
+        return false;
+      }
+      contacts = '*';
+    }
+    else {
+      contacts = req.getParsedHeader('Contact').map((c) => {
+        const e = c.params && c.params.expires !== undefined ? parseInt(c.params.expires) : expires;
+        return {contact: c.uri, expires: isNaN(e) ? expires : e};
+      });
+    }
+  }
+
+  const minExpiry = getMinRegisterExpiry();
+  const brief = Array.isArray(contacts) && contacts.find((c) => c.expires > 0 && c.expires < minExpiry);
+  if (brief) {
+    logger.info(`REGISTER request with expiry ${brief.expires} less than minimum ${minExpiry}: ${req.get('Call-ID')}`);
+    res.send(423, {headers: {'Min-Expires': minExpiry}});
+    return false;
+  }
+
+  req.registration = {aor, contacts};
+  logger.info(`REGISTER: ${aor} -> ${JSON.stringify(contacts)}`);
+
+  return true;
+}
+
+module.exports.expireRegistrations = expireRegistrations;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const debug = require('debug')('drachtio:presence-agent');
+const short = require('short-uuid');
+const translator = short();
+const {sendNotify} = require('./notifier');
+const {escapeXml} = require('./utils');
+const {tenantKey, mayWatchAcrossTenants} = require('./tenants');
+
+/**
+ * @module rls
+ * @see https://tools.ietf.org/html/rfc4662
+ *
+ * This module exposes a Resource List Server per RFC 4662.
+ *
+ * A SUBSCRIBE to a resource list (with Supported: eventlist) is expanded into subscriptions
+ * to each member of the list, and the subscriber is sent multipart/related NOTIFYs consisting of
+ * an RLMI document followed by the event state of each member, as provided by the event package.
+ * The subscriber only sees the state of the members they would be allowed to subscribe to directly.
+ *
+ * Data model:
+ *
+ * 1. Resource lists
+ * Each list is a redis list of the aors of its members, keyed by rls-list:${list aor}, and each member is
+ * indexed to the lists containing it (see RedisDb#addResourceList).  Lists are managed through the admin API
+ * (see lib/admin.js) and read from redis each time they are needed, so they can be changed without a restart;
+ * the subscribers to a list are sent its full state when it changes.
+ *
+ * 2. Watched lists
+ * For each list that has at least one active subscription we maintain a set, keyed by watched-rls:${list aor},
+ * of its subscriptions.
+ *
+ * 3. Active subscription
+ * We maintain a key for each active subscription, keyed (as in the dialog package) by the subscriber, the list,
+ * the event type, the Call-ID of the SUBSCRIBE dialog and the id parameter of its Event header (if any).
+ * The value is a hash of data that is needed to send a NOTIFY to the subscriber,
+ * including the version of the last RLMI document sent and, as version:${member aor}, the version of the last
+ * document sent for each member (e.g. the version of its dialog-info document), which must go up with each
+ * NOTIFY that carries it.
+ *
+ * This module exposes the same getEventState/addSubscription/refreshSubscription/removeSubscription interface
+ * as RedisDb, so that lib/subscribe.js can manage a subscription to a list the same way as any other subscription.
+ */
+
+const RLMI_CONTENT_TYPE = 'application/rlmi+xml';
+
+const makeSubscriptionName = ({subscriber, resource, eventType, callId, id}) =>
+  tenantKey(resource, `rls-sub:${subscriber}-${resource}-${eventType}:${callId}${id ? `:${id}` : ''}`);
+const makeSubscribedListKey = (list) => tenantKey(list, `watched-rls:${list}`);
+const makeInstanceId = (aor) => crypto.createHash('md5').update(aor).digest('hex').substring(0, 10);
+
+module.exports = function(logger, srf) {
+  const {redisDb} = srf.locals;
+  const {client} = redisDb;
+
+  redisDb.on('stateChange', ({eventType, aor}) => onStateChange(logger, srf, redisDb, eventType, aor));
+
+  const addSubscription = async(dlg, obj, expiry) => {
+    const {subscriber, resource, eventType} = obj;
+    const subscriptionName = makeSubscriptionName(obj);
+    const subscriptionData = {
+      subscriber,
+      list: resource,
+      eventType,
+      dialogId: dlg.id,
+      notifyType: obj.notifyType || 'sip'
+    };
+    if (obj.id) subscriptionData.id = obj.id;
+    if (obj.contentType) subscriptionData.contentType = obj.contentType;
+
+    logger.info({subscriptionData}, `rls#addSubscription: adding subscription ${subscriptionName}`);
+    await client.multi()
+      .sadd(makeSubscribedListKey(resource), subscriptionName)
+      .hmset(subscriptionName, subscriptionData)
+      .expire(subscriptionName, expiry)
+      .execAsync();
+    return subscriptionData;
+  };
+
+  return {
+    isResourceList: async(aor) => {
+      const members = await redisDb.getResourceList(aor);
+      return members.length > 0;
+    },
+
+    getEventState: async(subscriber, list, eventType, contentType, obj) => {
+      /* e.g. a fetch has no subscription of its own, so no versions are kept */
+      let subscriptionName = obj && obj.callId ?
+        makeSubscriptionName(Object.assign({}, obj, {subscriber, resource: list, eventType})) : null;
+      if (subscriptionName && !await client.existsAsync(subscriptionName)) subscriptionName = null;
+      const members = await redisDb.getResourceList(list);
+      const version = subscriptionName ? await client.hincrbyAsync(subscriptionName, 'version', 1) : 1;
+      return makeListState(srf, subscriptionName, {subscriber, list, eventType, contentType},
+        version - 1, members, true);
+    },
+
+    addSubscription,
+
+    /* the versions of the RLMI document and of each member are kept */
+    refreshSubscription: async(dlg, obj, expiry) => {
+      if (1 === await client.expireAsync(makeSubscriptionName(obj), expiry)) return;
+      await addSubscription(dlg, obj, expiry);
+    },
+
+    removeSubscription: async(obj) => {
+      const {resource} = obj;
+      const subscriptionName = makeSubscriptionName(obj);
+      const response = await client.multi()
+        .srem(makeSubscribedListKey(resource), subscriptionName)
+        .del(subscriptionName)
+        .execAsync();
+      logger.info({response}, `rls#removeSubscription: removed subscription ${subscriptionName}`);
+    },
+
+    /**
+     * The members of a list have changed: send its subscribers the full state of the list
+     */
+    listChanged: (list) => notifyList(logger, srf, redisDb, list)
+  };
+};
+
+/**
+ * The state of a resource changed: send a partial NOTIFY to everyone subscribed to a list that contains it
+ */
+const onStateChange = async(logger, srf, redisDb, eventType, aor) => {
+  try {
+    const lists = await redisDb.getResourceListsContaining(aor);
+    for (const list of lists) {
+      debug(`rls#onStateChange: ${aor}:${eventType} changed, notifying subscribers to list ${list}`);
+      await notifyList(logger, srf, redisDb, list, {eventType, aor});
+    }
+  } catch (err) {
+    logger.error({err}, `rls#onStateChange: Error notifying list subscribers of ${aor}:${eventType}`);
+  }
+};
+
+/**
+ * Notify the subscribers to a list: of the state of the member that changed (only those subscribed to the
+ * event package concerned), or, if no member is given, of the full state of the list
+ */
+const notifyList = async(logger, srf, redisDb, list, {eventType, aor} = {}) => {
+  const {client} = redisDb;
+  const key = makeSubscribedListKey(list);
+  const subscriptions = await client.smembersAsync(key);
+  if (0 === subscriptions.length) return;
+  const members = await redisDb.getResourceList(list);
+
+  for (const subscription of subscriptions) {
+    try {
+      const subscriptionData = await client.hgetallAsync(subscription);
+      if (!subscriptionData) {
+        logger.info(`rls#notifyList: subscription not found: ${subscription}; probably expired`);
+        client.sremAsync(key, subscription)
+          .catch((err) => logger.error({err}, `rls#notifyList: Error removing ${subscription} from ${key}`));
+      }
+      else if (!eventType || subscriptionData.eventType === eventType) {
+        const {subscriber, contentType} = subscriptionData;
+        await sendNotify(logger, srf, subscriptionData, {
+          eventType: subscriptionData.eventType,
+          render: async(fullState) => {
+            /* when several changes have been merged into one NOTIFY, send the state of the whole list */
+            const full = fullState || !aor;
+            const version = await client.hincrbyAsync(subscription, 'version', 1);
+            const state = await makeListState(srf, subscription,
+              {subscriber, list, eventType: subscriptionData.eventType, contentType},
+              version - 1, full ? members : [aor], full);
+            return {contentType: state.contentType, body: state.content, headers: state.headers};
+          }
+        });
+      }
+    } catch (err) {
+      logger.error({err}, `rls#notifyList: Error notifying subscription ${subscription}`);
+    }
+  }
+};
+
+/**
+ * Build the multipart/related body containing the RLMI document and the state of the given members
+ * (in the content type negotiated for the subscription); the version of the document of each member is kept
+ * in the hash of the list subscription (if there is one).
+ * Each member is authorized as if the subscriber had subscribed to it directly: the state of a member the
+ * subscriber may not watch (or that belongs to a tenant that does not allow it) is left out, and its instance is
+ * terminated with reason rejected, or pending if the member has not yet decided.
+ */
+const makeListState = async(srf, subscriptionName, subscription, version, members, fullState) => {
+  const {redisDb, authorization} = srf.locals;
+  const {subscriber, list, eventType, contentType} = subscription;
+  const boundary = `rls-${translator.new()}`;
+  const rlmiCid = `${translator.new()}@${list.split('@').pop()}`;
+  const resources = [];
+  const parts = [];
+
+  for (const aor of members) {
+    const instanceId = makeInstanceId(aor);
+    const rule = mayWatchAcrossTenants(subscriber, aor) ?
+      await authorization.authorize(subscriber, aor, eventType) : 'block';
+    if ('block' === rule) {
+      resources.push(`  <resource uri="sip:${escapeXml(aor)}">
+    <instance id="${instanceId}" state="terminated" reason="rejected"/>
+  </resource>`);
+      continue;
+    }
+    let state;
+    if ('pending' !== rule) {
+      const memberVersion = subscriptionName ?
+        await redisDb.client.hincrbyAsync(subscriptionName, `version:${aor}`, 1) : 1;
+      state = await redisDb.getEventState(subscriber, aor, eventType, contentType, {version: memberVersion - 1});
+    }
+    if (state && state.content) {
+      const cid = `${translator.new()}@${aor.split('@').pop()}`;
+      resources.push(`  <resource uri="sip:${escapeXml(aor)}">
+    <instance id="${instanceId}" state="active" cid="${cid}"/>
+  </resource>`);
+      parts.push([
+        `--${boundary}`,
+        'Content-Transfer-Encoding: binary',
+        `Content-ID: <${cid}>`,
+        `Content-Type: ${state.contentType}`,
+        '',
+        state.content
+      ].join('\r\n'));
+    }
+    else {
+      resources.push(`  <resource uri="sip:${escapeXml(aor)}">
+    <instance id="${instanceId}" state="pending"/>
+  </resource>`);
+    }
+  }
+
+  const rlmi = `<?xml version="1.0" encoding="UTF-8"?>
+<list xmlns="urn:ietf:params:xml:ns:rlmi" uri="sip:${escapeXml(list)}" version="${version}" fullState="${fullState}">
+${resources.join('\n')}
+</list>
+`;
+  const content = [
+    `--${boundary}`,
+    'Content-Transfer-Encoding: binary',
+    `Content-ID: <${rlmiCid}>`,
+    `Content-Type: ${RLMI_CONTENT_TYPE};charset="UTF-8"`,
+    '',
+    rlmi
+  ].join('\r\n') + '\r\n' + parts.map((p) => `${p}\r\n`).join('') + `--${boundary}--\r\n`;
+
+  return {
+    aor: list,
+    eventType,
+    contentType: `multipart/related;type="${RLMI_CONTENT_TYPE}";start="<${rlmiCid}>";boundary="${boundary}"`,
+    content,
+    headers: {'Require': 'eventlist'}
+  };
+};
@@ -0,0 +1,124 @@
+const debug = require('debug')('drachtio:presence-agent');
+const {getInstanceId} = require('./utils');
+const {sendNotify, removeSubscription} = require('./notifier');
+const {isApiSubscription} = require('./delivery');
+const TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 5;
+const RETRY_AFTER = parseInt(process.env.SHUTDOWN_RETRY_AFTER) || 10;
+const REASON = 'probation' === process.env.SHUTDOWN_REASON ? 'probation' : 'deactivated';
+
+/**
+ * @module shutdown
+ *
+ * Graceful shutdown, on SIGTERM.  Rather than leave our subscribers waiting for their subscriptions to expire,
+ * we tell them to subscribe again (RFC 6665 section 4.1.3), which a load balancer or DNS will send to another
+ * instance:
+ *  - new SUBSCRIBE requests are rejected with a 503 and Retry-After: SHUTDOWN_RETRY_AFTER (default 10),
+ *  - every SIP subscription owned by this instance is sent a NOTIFY with Subscription-State:
+ *    terminated;reason=deactivated (resubscribe at once), or, if SHUTDOWN_REASON is 'probation',
+ *    terminated;reason=probation;retry-after=${SHUTDOWN_RETRY_AFTER}, and is removed,
+ *  - we wait up to SHUTDOWN_TIMEOUT seconds (default 5) for the responses to those NOTIFYs, and then
+ *  - close the admin API and WebSocket server, leave the cluster, and quit our redis and drachtio connections,
+ *    waiting up to SHUTDOWN_TIMEOUT seconds more for redis to confirm, before exiting.
+ *
+ * Webhook and websocket subscriptions do not depend on the instance that owns them, so they are left in place
+ * for another instance to take over (see lib/cluster.js); websocket clients reconnect to another instance.
+ */
+
+module.exports = function(logger, srf) {
+  let draining = false;
+
+  const shutdown = async() => {
+    if (draining) return;
+    draining = true;
+    logger.info(`shutdown: draining; sending ${REASON} NOTIFYs to our subscribers`);
+    try {
+      await drain(logger, srf);
+    } catch (err) {
+      logger.error(err, 'shutdown: Error terminating subscriptions');
+    }
+    await disconnect(logger, srf);
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+
+  return {
+    get draining() {
+      return draining;
+    },
+
+    /**
+     * srf middleware that rejects new SUBSCRIBE requests while we are shutting down
+     */
+    rejectWhileDraining: (req, res, next) => {
+      if (draining && !req.getParsedHeader('to').params.tag) {
+        debug(`shutdown: rejecting SUBSCRIBE while draining: ${req.get('Call-ID')}`);
+        return res.send(503, {headers: {'Retry-After': RETRY_AFTER}});
+      }
+      next();
+    },
+
+    shutdown
+  };
+};
+
+const drain = async(logger, srf) => {
+  const {redisDb, expiry} = srf.locals;
+  if (expiry) expiry.stop();
+
+  const records = (await redisDb.getOwnedSubscriptionDialogs(getInstanceId()))
+    .filter(({dialogId}) => !isApiSubscription(dialogId));
+  const subscriptionState = 'probation' === REASON ?
+    `terminated;reason=probation;retry-after=${RETRY_AFTER}` :
+    'terminated;reason=deactivated';
+  logger.info(`shutdown: terminating ${records.length} subscriptions`);
+
+  const deactivate = async(record) => {
+    const {dialogId, subscription} = record;
+    let req;
+    try {
+      req = await sendNotify(logger, srf, Object.assign({dialogId}, subscription), {
+        eventType: subscription.eventType,
+        subscriptionState
+      });
+    } catch (err) {
+      logger.info(`shutdown: unable to send NOTIFY on dialog ${dialogId}: ${err}`);
+    }
+    await removeSubscription(logger, srf, record);
+    return req;
+  };
+
+  let timer;
+  const timeout = new Promise((resolve) => timer = setTimeout(resolve, TIMEOUT * 1000));
+  await Promise.race([
+    Promise.all(records.map(deactivate)).then((reqs) => Promise.all(reqs.map(waitForFinalResponse))),
+    timeout.then(() => logger.info(`shutdown: gave up waiting for NOTIFYs after ${TIMEOUT}s`))
+  ]);
+  clearTimeout(timer);
+};
+
+const waitForFinalResponse = (req) => {
+  if (!req || typeof req.on !== 'function') return;
+  return new Promise((resolve) => {
+    req.on('response', (res) => {
+      if (res.status >= 200) resolve();
+    });
+  });
+};
+
+const disconnect = async(logger, srf) => {
+  const {redisDb, authorization, cluster, websocket, admin} = srf.locals;
+  if (admin) admin.close();
+  if (websocket) websocket.close();
+
+  const quit = Promise.all([cluster && cluster.disconnect(), authorization.disconnect(), redisDb.disconnect()])
+    .catch((err) => logger.info(`shutdown: Error quitting redis: ${err}`));
+  let timer;
+  const timeout = new Promise((resolve) => timer = setTimeout(resolve, TIMEOUT * 1000));
+  await Promise.race([
+    quit,
+    timeout.then(() => logger.info(`shutdown: gave up waiting for redis after ${TIMEOUT}s`))
+  ]);
+  clearTimeout(timer);
+  srf.disconnect();
+  logger.info('shutdown: done');
+};
@@ -1,95 +1,370 @@
 const debug = require('debug')('drachtio:presence-agent');
-const assert = require('assert');
-const {parseAor, parseEventHeader, getDefaultSubscriptionExpiry} = require('./utils');
+const {
+  parseAor,
+  parseEventHeader,
+  negotiateContentType,
+  getDefaultSubscriptionExpiry,
+  getMinSubscriptionExpiry,
+  getMaxSubscriptionExpiry,
+  makeSubscriptionState,
+  getNotifyRate,
+  getInstanceId
+} = require('./utils');
+const rateControl = require('./rate-control');
+const {trackNotify} = require('./metrics');
+const {isApiSubscription} = require('./delivery');
+const {makeApiDialog} = require('./api-subscriptions');
+const {watchNotify} = require('./notifier');
+const {getTenantOfAor, getTenantEvents, mayWatchAcrossTenants} = require('./tenants');
 const _ = require('lodash');
 const supportedEvents = process.env.SUPPORTED_EVENTS.split(',').map((e) => e.trim());
+const RATE_PARAMS = ['throttle', 'force', 'averageRate'];
 
 /**
  * @module subscribe
- * @see https://tools.ietf.org/html/rfc3265
+ * @see https://tools.ietf.org/html/rfc6665
  *
- * This module exposes an State Agent per RFC 3265.
+ * This module exposes an State Agent per RFC 6665 (which obsoletes RFC 3265).
+ *
+ * Every response to a SUBSCRIBE carries an Allow-Events header listing the event packages we support for the tenant
+ * of the resource (see lib/tenants.js).
+ * A SUBSCRIBE with Expires: 0 outside of a dialog is a fetch: the subscriber is sent the current state in a
+ * NOTIFY that terminates the subscription, and nothing is saved.  Subscriptions shorter than the minimum expiry of
+ * their event package are refused with a 423, and longer ones are shortened to its maximum; these are configured
+ * as methods.subscribe.expire.min and .max (default 60 and 86400 seconds).  The Subscription-State of each NOTIFY
+ * carries the time left in the subscription (expires=) or, once it is terminated, the reason.
+ * A SUBSCRIBE whose Expires header is not a whole number of seconds is refused with a 400.
+ *
+ * A SUBSCRIBE to a resource list is handled by the resource list server (lib/rls.js),
+ * which is used in place of RedisDb to save subscriptions and retrieve event state.
+ *
+ * Each SUBSCRIBE dialog is recorded in redis (see RedisDb#addSubscriptionDialog), which is used to:
+ *  - expire subscriptions (see lib/expiry.js), and
+ *  - handle in-dialog requests for subscriptions whose Dialog object we do not have (e.g. after a restart),
+ *    using a stand-in for the Dialog object that sends requests using the stack dialog id.
+ *
+ * Each new or refreshed subscription is checked against the watcher authorization rules (see lib/authorization.js):
+ * a blocked watcher is refused (or, on a refresh, the subscription is terminated) and a pending subscription
+ * is sent NOTIFYs with Subscription-State: pending and no event state.
+ *
+ * The content type of the event state we send is chosen from those the event package produces according to the
+ * Accept header of the initial SUBSCRIBE, and is used for the life of the subscription.
+ *
+ * The rate control parameters of the Event header (RFC 6446) are saved with the subscription, and may be
+ * changed by a refreshing SUBSCRIBE; see lib/rate-control.js.
+ *
+ * A SUBSCRIBE is refused with a 403 if the subscriber belongs to a different tenant than the resource and
+ * that tenant does not allow it, or if the tenant of the resource already has its maxSubscriptions.
  */
 
-const dialogs = new Map();
-
 module.exports = function(logger) {
 
-  return (req, res) => {
-    if (validate(logger, req, res)) {
-      initial(logger, req, res);
+  return async(req, res) => {
+    const {redisDb, rls} = req.srf.locals;
+    setAllowEvents(res, parseAor(req.getParsedHeader('to').uri, req.source_address));
+    if (req.getParsedHeader('to').params.tag) {
+      try {
+        const record = await redisDb.getSubscriptionDialog(req.stackDialogId);
+        if (record && record.expires > 0) return inRestoredDialog(logger, req, res, record);
+      } catch (err) {
+        logger.error(err, `subscribe: Error retrieving subscription dialog ${req.stackDialogId}`);
+      }
+    }
+    if (!validate(logger, req, res)) return;
+
+    try {
+      if (await rls.isResourceList(req.event.resource)) {
+        if (!supportsEventList(req)) {
+          logger.info(`SUBSCRIBE to resource list ${req.event.resource} without eventlist support`);
+          return res.send(421, {headers: {'Require': 'eventlist'}});
+        }
+        if (!negotiate(logger, req, res, true)) return;
+        return initial(logger, rls, req, res, {'Require': 'eventlist'});
+      }
+    } catch (err) {
+      logger.error(err, `subscribe: Error retrieving resource list ${req.event.resource}`);
+      return res.send(480);
     }
+    if (!negotiate(logger, req, res, false)) return;
+    initial(logger, redisDb, req, res);
   };
 };
 
-const initial = async(logger, req, res) => {
-  const {redisDb} = req.srf.locals;
+/**
+ * Choose the content type of the event state we send; for a resource list, this is the content type of
+ * the state of each member (the list itself is always sent as multipart/related with an RLMI document)
+ */
+const negotiate = (logger, req, res, resourceList) => {
+  const {contentTypes} = req.srf.locals.redisDb.eventPackages[req.event.eventType];
+  let accept = req.has('Accept') ? req.get('Accept') : '';
+  if (resourceList) {
+    accept = accept.split(',')
+      .filter((a) => !/^\s*(multipart\/related|application\/rlmi\+xml)\s*(;|$)/i.test(a))
+      .join(',');
+  }
+  const contentType = negotiateContentType(accept, contentTypes);
+  if (!contentType) {
+    logger.info(`SUBSCRIBE for ${req.event.eventType} with unacceptable Accept header ${req.get('Accept')}`);
+    res.send(406, {headers: {'Accept': contentTypes.join(', ')}});
+    return false;
+  }
+  req.event.contentType = contentType;
+  return true;
+};
+
+/**
+ * Add the Allow-Events header to our response: the events the tenant of a resource may subscribe to
+ * (for an in-dialog request, it may already have been added)
+ */
+const setAllowEvents = (res, resource) => {
+  const events = getTenantEvents(getTenantOfAor(resource), supportedEvents);
+  if (!res.getHeader('Allow-Events')) res.setHeader('Allow-Events', events.join(', '));
+};
+
+const supportsEventList = (req) => {
+  return req.has('Supported') &&
+    req.get('Supported').split(',').map((s) => s.trim().toLowerCase()).includes('eventlist');
+};
+
+const initial = async(logger, db, req, res, headers) => {
+  if (0 === req.expiry) return fetch(logger, db, req, res, headers);
   logger.info(req.event, 'subscribe#initial');
   debug(req.event, 'subscribe#initial');
 
   try {
-    const uas = await req.srf.createUAS(req, res, {headers: {'Expires': req.expiry}});
-    const sub = await redisDb.addSubscription(uas, req.event, req.expiry);
+    const {redisDb, authorization} = req.srf.locals;
+    const {subscriber, resource, eventType} = req.event;
+    const rule = await authorization.authorize(subscriber, resource, eventType);
+    if ('block' === rule) {
+      logger.info(`subscribe#initial: ${subscriber} is not allowed to watch ${resource}:${eventType}`);
+      return res.send(403);
+    }
+    const status = 'pending' === rule ? 'pending' : 'active';
+
+    const tenant = getTenantOfAor(resource);
+    const reservation = await redisDb.reserveTenantSubscription(tenant);
+    if (!reservation) {
+      logger.info(`subscribe#initial: tenant ${tenant.name} has reached its limit of ${tenant.maxSubscriptions}`);
+      return res.send(403);
+    }
+
+    let uas;
+    try {
+      uas = await req.srf.createUAS(req, res, {headers: Object.assign({'Expires': req.expiry}, headers)});
+      await db.addSubscription(uas, req.event, req.expiry);
+      await redisDb.addSubscriptionDialog(uas.id, req.event, req.expiry, db !== redisDb, status);
+    } finally {
+      await redisDb.releaseTenantSubscription(tenant, reservation);
+    }
+    const sub = req.event;
     uas
-      .on('unsubscribe', (req, res) => remove(logger, redisDb, req, res, uas, sub))
-      .on('subscribe', (req, res) => refresh(logger, redisDb, req, res, uas, sub));
+      .on('unsubscribe', (req, res) => remove(logger, db, req, res, uas, sub))
+      .on('subscribe', (req, res) => refresh(logger, db, req, res, uas, sub));
 
-    startSubscriptionTimer(logger, redisDb, uas, sub, req.expiry);
-    notify(logger, redisDb, req.event, uas, 'active');
+    notify(logger, db, req.event, uas, status, {expires: req.expiry});
   } catch (err) {
     logger.error(err, `subscribe#initial: Error: ${err}`);
     res.send(480);
   }
 };
 
+/**
+ * Handle a fetch (RFC 6665 section 4.4.3), i.e. a SUBSCRIBE with Expires: 0 outside of a dialog: the subscriber
+ * is sent the current state (unless it is pending authorization) in a NOTIFY that also terminates the subscription
+ */
+const fetch = async(logger, db, req, res, headers) => {
+  logger.info(req.event, 'subscribe#fetch');
+
+  try {
+    const {subscriber, resource, eventType} = req.event;
+    const rule = await req.srf.locals.authorization.authorize(subscriber, resource, eventType);
+    if ('block' === rule) {
+      logger.info(`subscribe#fetch: ${subscriber} is not allowed to watch ${resource}:${eventType}`);
+      return res.send(403);
+    }
+
+    const uas = await req.srf.createUAS(req, res, {headers: Object.assign({'Expires': 0}, headers)});
+    await notify(logger, db, req.event, uas, 'terminated;reason=timeout', {withState: 'pending' !== rule});
+  } catch (err) {
+    logger.error(err, `subscribe#fetch: Error: ${err}`);
+    res.send(480);
+  }
+};
+
 const refresh = async(logger, db, req, res, dlg, subscription) => {
-  const event = req.get('Event');
-  const expiry = (req.has('Expires') ?
+  const {redisDb} = dlg.srf.locals;
+  const params = parseEventHeader(req.get('Event'));
+  const {event} = params;
+  const tenant = getTenantOfAor(subscription.resource);
+  let expiry = (req.has('Expires') ?
     parseInt(req.get('Expires')) :
-    getDefaultSubscriptionExpiry(event)) || 3600;
+    getDefaultSubscriptionExpiry(event, redisDb.eventPackages[event].defaultExpiry, tenant)) || 3600;
+
+  setAllowEvents(res, subscription.resource);
+  if (req.has('Expires') && !/^\s*\d+\s*$/.test(req.get('Expires'))) {
+    logger.info(`SUBSCRIBE refresh with invalid Expires header ${req.get('Expires')}: ${req.get('Call-ID')}`);
+    return res.send(400);
+  }
+  const minExpiry = getMinSubscriptionExpiry(event, tenant);
+  if (expiry < minExpiry) {
+    logger.info(`SUBSCRIBE refresh with expiry ${expiry} less than minimum ${minExpiry}: ${req.get('Call-ID')}`);
+    return res.send(423, {headers: {'Min-Expires': minExpiry}});
+  }
+  expiry = Math.min(expiry, getMaxSubscriptionExpiry(event, tenant));
 
   logger.info(req.event, `subscribe#refresh with expiry ${expiry}`);
   debug(`subscribe#refresh with expiry ${expiry}`);
 
+  RATE_PARAMS.forEach((p) => delete subscription[p]);
+  Object.assign(subscription, _.pick(params, RATE_PARAMS));
+
   try {
-    clearSubscriptionTimer(logger, db, dlg, subscription, true);
-    await db.removeSubscription(subscription);
-    subscription = await db.addSubscription(dlg, req.event, req.expiry);
-    startSubscriptionTimer(dlg, db, dlg, subscription, expiry);
+    const {subscriber, resource, eventType} = subscription;
+    const rule = await dlg.srf.locals.authorization.authorize(subscriber, resource, eventType);
+    if ('block' === rule) {
+      logger.info(`subscribe#refresh: ${subscriber} is no longer allowed to watch ${resource}:${eventType}`);
+      res.send(202, {headers: {'Expires': 0}});
+      return remove(logger, db, req, res, dlg, subscription, 'terminated;reason=rejected');
+    }
+    const status = 'pending' === rule ? 'pending' : 'active';
+
+    await db.refreshSubscription(dlg, subscription, expiry);
+    await redisDb.addSubscriptionDialog(dlg.id, subscription, expiry, db !== redisDb, status);
     res.send(202, {headers: {'Expires': expiry}});
-    await notify(logger, db, subscription, dlg, 'active');
+    await notify(logger, db, subscription, dlg, status, {expires: expiry});
   } catch (err) {
     logger.error(err, 'subscribe#refresh');
     res.send(480);
   }
 };
 
-const remove = async(logger, db, req, res, dlg, subscription) => {
+const remove = async(logger, db, req, res, dlg, subscription, subscriptionState = 'terminated;reason=timeout') => {
+  const {redisDb} = dlg.srf.locals;
   logger.info(subscription, 'subscribe#remove');
-  await notify(logger, db, subscription, dlg, 'terminated');
+  await notify(logger, db, subscription, dlg, subscriptionState);
   await db.removeSubscription(subscription);
-  clearSubscriptionTimer(dlg, db, subscription, true);
+  await redisDb.removeSubscriptionDialog(dlg.id);
 };
 
-const notify = async(logger, db, sub, dlg, subscriptionState) => {
-  const state = await db.getEventState(sub.subscriber, sub.resource, sub.eventType);
-  debug(`subscribe#notify: got event state for ${sub.resource}:${sub.eventType} ${JSON.stringify(state)}`);
-  let body;
-  const headers = {
-    'Call-ID': sub.callId,
-    'Subscription-State': subscriptionState,
-    'Event': sub.eventType
+/**
+ * Called at startup to bring subscribers up to date after a restart, and when we take over the subscriptions
+ * of an instance that has failed (in which case dialogIds lists the subscription dialogs we now own).
+ * Otherwise, the subscription dialogs owned by this instance are restored.
+ * Each subscriber is sent a NOTIFY with the current state; subscriptions that are for events we no longer support,
+ * or whose dialog the drachtio server no longer knows about, are terminated.
+ */
+const restore = async(logger, srf, dialogIds) => {
+  const {redisDb, rls} = srf.locals;
+  try {
+    const records = (await redisDb.getSubscriptionDialogs())
+      .filter((r) => (dialogIds ? dialogIds.includes(r.dialogId) : r.owner === getInstanceId()));
+    logger.info(`subscribe#restore: found ${records.length} subscriptions to restore`);
+
+    for (const {dialogId, subscription, resourceList, status, expires} of records) {
+      /* expired subscriptions are terminated by lib/expiry.js */
+      if (expires <= 0) continue;
+      const db = resourceList ? rls : redisDb;
+      const dlg = isApiSubscription(dialogId) ?
+        makeApiDialog(logger, srf, dialogId) :
+        makeRestoredDialog(srf, dialogId, subscription.callId);
+      try {
+        const events = getTenantEvents(getTenantOfAor(subscription.resource), supportedEvents);
+        if (!events.includes(subscription.eventType)) {
+          throw new Error(`subscription is for unsupported event ${subscription.eventType}`);
+        }
+        await notify(logger, db, subscription, dlg, status, {expires});
+        logger.info(subscription, `subscribe#restore: restored subscription on dialog ${dialogId} for ${expires}s`);
+      } catch (err) {
+        logger.info(subscription, `subscribe#restore: terminating subscription on dialog ${dialogId}: ${err.message}`);
+        await terminateRestored(logger, redisDb, db, dlg, subscription);
+      }
+    }
+  } catch (err) {
+    logger.error(err, 'subscribe#restore: Error restoring subscriptions');
+  }
+};
+
+/**
+ * A stand-in for a SUBSCRIBE Dialog that was created before we restarted
+ */
+const makeRestoredDialog = (srf, dialogId, callId) => {
+  return {
+    srf,
+    id: dialogId,
+    sip: {
+      callId,
+      remoteTag: dialogId.split(';from-tag=')[1]
+    },
+    request: (opts) => srf.request('sip:placeholder', Object.assign({stackDialogId: dialogId}, opts))
   };
+};
 
-  if (state && subscriptionState !== 'terminated') {
-    Object.assign(headers, {'Content-Type': state.contentType});
-    body = state.content;
+/**
+ * Handle a refresh or unsubscribe within the dialog of a subscription we have no Dialog object for
+ */
+const inRestoredDialog = async(logger, req, res, {dialogId, subscription, resourceList}) => {
+  const {redisDb, rls} = req.srf.locals;
+  const db = resourceList ? rls : redisDb;
+  const dlg = makeRestoredDialog(req.srf, dialogId, subscription.callId);
+  if (req.has('Expires') && 0 === parseInt(req.get('Expires'))) {
+    res.send(202);
+    return remove(logger, db, req, res, dlg, subscription);
   }
-  dlg.request({
-    method: 'NOTIFY',
-    body,
-    headers
-  });
+  refresh(logger, db, req, res, dlg, subscription);
+};
+
+const terminateRestored = async(logger, redisDb, db, dlg, subscription) => {
+  rateControl.clear(dlg.id);
+  try {
+    await trackNotify(dlg.request({
+      method: 'NOTIFY',
+      headers: {
+        'Subscription-State': 'terminated;reason=noresource',
+        'Event': subscription.id ? `${subscription.eventType};id=${subscription.id}` : subscription.eventType
+      }
+    }));
+  } catch (err) {
+    logger.info(`subscribe#terminateRestored: unable to send NOTIFY on dialog ${dlg.id}: ${err}`);
+  }
+  try {
+    if (supportedEvents.includes(subscription.eventType)) await db.removeSubscription(subscription);
+    await redisDb.removeSubscriptionDialog(dlg.id);
+  } catch (err) {
+    logger.error(err, `subscribe#terminateRestored: Error removing subscription on dialog ${dlg.id}`);
+  }
+};
+
+/**
+ * Send a NOTIFY with the current state (if the subscription is active); it is not held back by rate control,
+ * but may be re-sent if the subscriber asked for a force interval
+ * @param {Object} opts - expires: the seconds left in the subscription; withState: send the current state
+ * (by default, only if the subscription is active)
+ */
+const notify = async(logger, db, sub, dlg, subscriptionState, opts = {}) => {
+  const {withState = 'active' === subscriptionState} = opts;
+  const expiresAt = opts.expires ? Date.now() + opts.expires * 1000 : undefined;
+  const send = async(fullState, attempt = 0) => {
+    const state = await db.getEventState(sub.subscriber, sub.resource, sub.eventType, sub.contentType, sub);
+    debug(`subscribe#notify: got event state for ${sub.resource}:${sub.eventType} ${JSON.stringify(state)}`);
+    let body;
+    const headers = {
+      'Call-ID': sub.callId,
+      'Subscription-State': makeSubscriptionState(subscriptionState, expiresAt),
+      'Event': sub.id ? `${sub.eventType};id=${sub.id}` : sub.eventType
+    };
+
+    if (state && withState) {
+      Object.assign(headers, state.headers, {'Content-Type': state.contentType});
+      body = state.content;
+    }
+    return watchNotify(logger, dlg.srf, dlg.id, trackNotify(dlg.request({
+      method: 'NOTIFY',
+      body,
+      headers
+    })), {final: subscriptionState.startsWith('terminated'), attempt, resend: (n) => send(true, n)});
+  };
+  return rateControl.schedule(logger, dlg.id, getNotifyRate(sub), send,
+    {immediate: true, final: subscriptionState.startsWith('terminated')});
 };
 
 
@@ -101,18 +376,23 @@ function validate(logger, req, res) {
   }
   const to = req.getParsedHeader('to');
   const from = req.getParsedHeader('from');
-  const {event, id} = parseEventHeader(req.get('Event'));
-  if (!supportedEvents.includes(event)) {
+  const {event, id, throttle, force, averageRate} = parseEventHeader(req.get('Event'));
+  const resource = parseAor(to.uri, req.source_address);
+  const tenant = getTenantOfAor(resource);
+  if (!getTenantEvents(tenant, supportedEvents).includes(event)) {
     logger.info(`SUBSCRIBE request for unsupported event ${req.get('Event')}: ${req.get('Call-ID')}`);
     res.send(489);
     return false;
   }
 
   req.event = {
-    subscriber: parseAor(from.uri),
-    resource: parseAor(to.uri),
+    subscriber: req.authorization ? req.authorization.aor : parseAor(from.uri, req.source_address),
+    resource,
     eventType: event,
     id: id,
+    throttle,
+    force,
+    averageRate,
     accept: req.get('Accept'),
     callId: req.get('Call-ID')
   };
@@ -120,43 +400,32 @@ function validate(logger, req, res) {
   // remove any undefined values
   req.event = _.omitBy(req.event, _.isNil);
 
-  req.expiry = req.has('Expires') ? parseInt(req.get('Expires')) : getDefaultSubscriptionExpiry(event);
+  if (!mayWatchAcrossTenants(req.event.subscriber, resource)) {
+    logger.info(`SUBSCRIBE from ${req.event.subscriber} to ${resource} of another tenant: ${req.get('Call-ID')}`);
+    res.send(403);
+    return false;
+  }
+
+  const {defaultExpiry} = req.srf.locals.redisDb.eventPackages[event];
+  if (req.has('Expires') && !/^\s*\d+\s*$/.test(req.get('Expires'))) {
+    logger.info(`SUBSCRIBE request with invalid Expires header ${req.get('Expires')}: ${req.get('Call-ID')}`);
+    res.send(400);
+    return false;
+  }
+  req.expiry = req.has('Expires') ?
+    parseInt(req.get('Expires')) :
+    getDefaultSubscriptionExpiry(event, defaultExpiry, tenant);
   logger.info(`SUBSCRIBE: ${req.event.subscriber} -> ${req.event.resource}: ${req.expiry}`);
 
-  if (0 === req.expiry) {
-    logger.info('received SUBSCRIBE with Expires: 0 outside of a dialog');
-    res.send(200); // unsubscribe should be within a dialog
+  const minExpiry = getMinSubscriptionExpiry(event, tenant);
+  if (req.expiry > 0 && req.expiry < minExpiry) {
+    logger.info(`SUBSCRIBE request with expiry ${req.expiry} less than minimum ${minExpiry}: ${req.get('Call-ID')}`);
+    res.send(423, {headers: {'Min-Expires': minExpiry}});
     return false;
   }
+  req.expiry = Math.min(req.expiry, getMaxSubscriptionExpiry(event, tenant));
 
   return true;
 }
 
-function startSubscriptionTimer(logger, db, dlg, subscription, expiry) {
-  const timer = setTimeout(_expireSubscription.bind(null, logger, db, dlg, subscription), expiry * 1000);
-
-  const subs = dialogs.get(dlg.id) || [];
-  subs.push({subscription, timer});
-  dialogs.set(dlg.id, subs);
-}
-
-function clearSubscriptionTimer(logger, db, dlg, subscription, andCancel) {
-  const subs = dialogs.get(dlg.id);
-  const arr = _.remove(subs, (s) => { return s.subscription.eventType === subscription.eventType; });
-  assert(Array.isArray(arr) && arr.length === 1);
-
-  if (andCancel) clearTimeout(arr[0].timer);
-  if (0 === subs.length) dialogs.delete(dlg.id);
-
-  debug(`subscribe#clearSubscriptionTimer: after clearing subscription there are ${dialogs.size} dialogs`);
-}
-
-function _expireSubscription(logger, db, dlg, subscription) {
-  logger.info(subscription, `subscription timed out on dialog with Call-ID ${dlg.sip.callId}`);
-  notify(logger, db, subscription, dlg, 'terminated');
-
-  /* NOTE: no need to call db.removeSubscription(subscription)
-   * because keys were set to expire on their own in redis
-  */
-  clearSubscriptionTimer(logger, dlg, subscription);
-}
+module.exports.restore = restore;
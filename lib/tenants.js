@@ -0,0 +1,135 @@
+const net = require('net');
+const config = require('config');
+const debug = require('debug')('drachtio:presence-agent');
+
+/**
+ * @module tenants
+ *
+ * Hosts several customers (tenants) on one agent.  Tenants are configured in the tenants section of the
+ * configuration, keyed by tenant name, e.g.
+ *   "tenants": {
+ *     "acme": {
+ *       "domain": "acme.com",
+ *       "aliases": ["sip.acme.com"],
+ *       "networks": ["10.1.0.0/16"],
+ *       "events": ["presence", "dialog"],
+ *       "maxSubscriptions": 5000,
+ *       "allowSubscribersFrom": ["globex"],
+ *       "methods": {"subscribe": {"expire": {"default": {"dialog": {"expires": 600}}}}}
+ *     }
+ *   }
+ * where:
+ *  - domain is the domain of the tenant's address-of-records; a request for one of its aliases is treated as
+ *    if it were for the domain (see utils#parseAor),
+ *  - networks (optional) are the addresses (or CIDR ranges) of the tenant's devices, used to find the domain of a
+ *    request addressed to an IP address rather than a domain,
+ *  - prefix (optional; default '${name}:') is prepended to the redis keys of the tenant's address-of-records,
+ *    so that the data of each tenant is kept in its own namespace,
+ *  - events (optional) are the event packages the tenant may subscribe to, of those in SUPPORTED_EVENTS,
+ *  - maxSubscriptions (optional) is the most subscriptions to the tenant's resources there may be at once,
+ *  - allowSubscribersFrom (optional) names the other tenants (or '*' for any) whose users may subscribe to the
+ *    tenant's resources; otherwise subscriptions across tenants are refused, and
+ *  - methods.subscribe.expire (optional) overrides the default, min and max subscription expiry of each
+ *    event package, as the same settings at the top level of the configuration do for every tenant.
+ *
+ * Keys that belong to no one address-of-record are shared by all tenants and have no prefix:
+ *  - the indexes that the expiry sweep (lib/expiry.js) and the cluster (lib/cluster.js) must see whole:
+ *    event_zset, event-expiry, reg-expiry, sub-dlgs, sub-counts, sub-counted and owned-dlgs:${instance id},
+ *  - the records of subscription dialogs, sub-dlg:${stack dialog id}, which are looked up by dialog id alone, and
+ *  - the nonces of digest authentication, nonce:${nonce} (see lib/auth.js).
+ * The per-tenant sets of subscription dialogs (tenant-dlgs:${name}) and the passwords of each realm
+ * (auth-users:${realm}) are prefixed like the keys of an address-of-record.
+ *
+ * An address-of-record whose domain belongs to no tenant belongs to the 'default' tenant, which has no key prefix,
+ * so an agent with no tenants configured behaves exactly as before.
+ */
+
+const DEFAULT_TENANT = {name: 'default', prefix: ''};
+
+const loadTenants = () => {
+  if (!config.has('tenants')) return [];
+  return Object.entries(config.get('tenants')).map(([name, settings]) => {
+    if (!settings.domain) throw new Error(`tenant ${name} has no domain`);
+    const networks = new net.BlockList();
+    (settings.networks || []).forEach((network) => {
+      const [address, bits] = network.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (bits) networks.addSubnet(address, parseInt(bits), type);
+      else networks.addAddress(address, type);
+    });
+    return Object.assign({}, settings, {
+      name,
+      domains: [settings.domain, ...(settings.aliases || [])].map((d) => d.toLowerCase()),
+      prefix: undefined === settings.prefix ? `${name}:` : settings.prefix,
+      networks
+    });
+  });
+};
+
+const tenants = loadTenants();
+debug(`tenants: ${tenants.map((t) => t.name).join(', ') || 'none'}`);
+
+/**
+ * @returns {Object} the tenant a domain (or alias) belongs to, or the default tenant
+ */
+const getTenantOfDomain = (domain) => {
+  const d = (domain || '').toLowerCase();
+  return tenants.find((t) => t.domains.includes(d)) || DEFAULT_TENANT;
+};
+
+/**
+ * @returns {Object} the tenant an address-of-record (user@domain) belongs to
+ */
+const getTenantOfAor = (aor) => getTenantOfDomain(aor.split('@').pop());
+
+/**
+ * @returns {Object} the tenant whose networks contain an IP address, or undefined
+ */
+const getTenantOfAddress = (address) => {
+  if (!address) return;
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return tenants.find((t) => t.networks.check(address, type));
+};
+
+/**
+ * @returns {String} the domain of the tenant a domain (or alias) belongs to, or the domain itself
+ */
+const getCanonicalDomain = (domain) => getTenantOfDomain(domain).domain || domain;
+
+/**
+ * Put a redis key for an address-of-record in the namespace of its tenant
+ */
+const tenantKey = (aor, key) => `${getTenantOfAor(aor).prefix}${key}`;
+
+/**
+ * @returns {Array} the key prefixes of all tenants, including the default tenant's
+ */
+const getKeyPrefixes = () => [...new Set([DEFAULT_TENANT.prefix, ...tenants.map((t) => t.prefix)])];
+
+/**
+ * @returns {Array} the events, of those given, that a tenant may subscribe to
+ */
+const getTenantEvents = (tenant, events) => (tenant.events ? events.filter((e) => tenant.events.includes(e)) : events);
+
+/**
+ * Determine whether a subscriber may watch a resource of another tenant
+ * @returns {Boolean} true if they belong to the same tenant, or the resource's tenant allows it
+ */
+const mayWatchAcrossTenants = (subscriber, resource) => {
+  const from = getTenantOfAor(subscriber);
+  const to = getTenantOfAor(resource);
+  if (from.name === to.name) return true;
+  const allowed = to.allowSubscribersFrom || [];
+  return allowed.includes('*') || allowed.includes(from.name);
+};
+
+module.exports = {
+  getTenantOfDomain,
+  getTenantOfAor,
+  getTenantOfAddress,
+  getCanonicalDomain,
+  tenantKey,
+  getKeyPrefixes,
+  getTenantEvents,
+  mayWatchAcrossTenants
+};
@@ -1,51 +1,215 @@
+const os = require('os');
 const parseUri = require('drachtio-srf').parseUri;
 const config = require('config');
 const uuid = require('short-uuid')('123456789');
 const _ = require('lodash');
 const debug = require('debug')('drachtio:presence-agent');
+const {getTenantOfAddress, getCanonicalDomain} = require('./tenants');
+const RATE_PARAMS = {'throttle': 'throttle', 'force': 'force', 'average-rate': 'averageRate'};
 
-
-const parseAor = (u) => {
+/**
+ * Parse the address-of-record (user@domain) of a uri.  The domain of a uri whose host is an IP address is
+ * the domain of the tenant whose networks contain the address the request came from (source), if any,
+ * or else the configured domain; an alias of a tenant's domain is replaced by the domain (see lib/tenants.js).
+ */
+const parseAor = (u, source) => {
   const uri = parseUri(u);
   let domain = uri.host.match(/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/);
-  if (domain && config.has('domain')) domain = config.get('domain');
-  else if (!domain) domain = uri.host;
+  const tenant = domain ? getTenantOfAddress(source) : null;
+  if (tenant) domain = tenant.domain;
+  else if (domain && config.has('domain')) domain = config.get('domain');
+  else if (!domain) domain = getCanonicalDomain(uri.host);
 
   return `${uri.user || 'undefined'}@${domain}`;
 };
 
+const escapeXml = (str) => {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
 const generateETag = () => {
   return uuid.new();
 };
 
+/**
+ * Generate a unique id for a message we publish to the redis channel of an event package
+ */
+const generateMessageId = () => {
+  return uuid.new();
+};
+
+/**
+ * Parse an Event header, e.g. 'dialog;id=1234;throttle=10'.
+ * The rate control parameters of RFC 6446 (throttle, force and average-rate) are returned, in seconds,
+ * as throttle, force and averageRate; values that are not a whole number of seconds are ignored.
+ */
 const parseEventHeader = (event) => {
-  const obj = {};
-  const arr = /^(.*);(.*)$/.exec(event);
-  if (!arr) {
-    //Event: foo
-    obj.event = event;
-  }
-  else {
-    obj.event = arr[1].trim();
-    const idMatch = /id=([^//s;]*)/.exec(arr[2]);
-    if (idMatch) obj.id = idMatch[1];
-  }
+  const [type, ...params] = event.split(';');
+  const obj = {event: type.trim()};
+  params.forEach((param) => {
+    const [name, value] = param.split('=').map((s) => (s || '').trim());
+    if ('id' === name && value) obj.id = value;
+    else if (RATE_PARAMS[name.toLowerCase()] && /^\d+$/.test(value)) {
+      obj[RATE_PARAMS[name.toLowerCase()]] = parseInt(value);
+    }
+  });
   debug(`parseEventHeader: Event header ${event} parsed as ${JSON.stringify(obj)}`);
 
   return obj;
 };
 
-const getDefaultSubscriptionExpiry = (package) => {
-  if (!config.has('methods.subscribe.expire.default')) return 3600;
-  const obj = _.find(config.get('methods.subscribe.expire.default'), (o, k) => {return k === package;});
+/**
+ * Choose the content type of a body, given the Accept header of a request and the content types we can
+ * produce, in our order of preference; without an Accept header, our first preference is chosen.
+ * @returns {String} the content type, or undefined if none of them is acceptable
+ */
+const negotiateContentType = (accept, offered) => {
+  if (!accept || !accept.trim()) return offered[0];
+  const ranges = accept.split(',')
+    .map((s) => {
+      const [range, ...params] = s.split(';').map((p) => p.trim().toLowerCase());
+      const q = params.map((p) => /^q=([0-9.]+)$/.exec(p)).find((m) => m);
+      return {range, q: q ? parseFloat(q[1]) : 1};
+    })
+    .filter((r) => r.range);
+
+  const specificity = (range) => ('*/*' === range ? 0 : (range.endsWith('/*') ? 1 : 2));
+  let best, bestQ = 0;
+  for (const type of offered) {
+    const match = ranges
+      .filter(({range}) => range === type.toLowerCase() || '*/*' === range ||
+        (range.endsWith('/*') && type.toLowerCase().startsWith(range.slice(0, -1))))
+      .sort((a, b) => specificity(b.range) - specificity(a.range))[0];
+    if (match && match.q > bestQ) {
+      best = type;
+      bestQ = match.q;
+    }
+  }
+  return best;
+};
+
+/**
+ * The minimum interval, in seconds, between NOTIFYs on a subscription (whatever the subscriber asks for)
+ */
+const minNotifyInterval = parseInt(process.env.NOTIFY_MIN_INTERVAL) || 0;
+
+/**
+ * Determine the rate at which NOTIFYs may be sent on a subscription, in seconds:
+ *  - minInterval: the least time between NOTIFYs; the largest of our own minimum and any throttle
+ *    or average-rate requested by the subscriber (so the average rate can not be exceeded), and
+ *  - force: (if requested) the most time between NOTIFYs, even if the state has not changed
+ */
+const getNotifyRate = (subscription) => {
+  const {throttle, force, averageRate} = subscription || {};
+  const minInterval = Math.max(minNotifyInterval, parseInt(throttle) || 0, parseInt(averageRate) || 0);
+  const rate = {minInterval};
+  if (parseInt(force) > 0) rate.force = Math.max(parseInt(force), minInterval);
+  return rate;
+};
+
+/**
+ * Find the subscription expiry setting (default, min or max) for an event package, in the settings of the
+ * tenant if given (see lib/tenants.js), else in the configuration
+ */
+const getSubscriptionExpirySetting = (setting, package, tenant) => {
+  const obj = _.get(tenant, ['methods', 'subscribe', 'expire', setting, package]);
+  if (obj) return obj.expires;
+  const path = `methods.subscribe.expire.${setting}`;
+  if (!config.has(path)) return;
+  const found = _.find(config.get(path), (o, k) => {return k === package;});
+  return found ? found.expires : undefined;
+};
+
+const getDefaultSubscriptionExpiry = (package, packageDefault, tenant) => {
+  const expires = getSubscriptionExpirySetting('default', package, tenant);
+  return undefined === expires ? packageDefault || 3600 : expires;
+};
+
+const getMinSubscriptionExpiry = (package, tenant) => {
+  const expires = getSubscriptionExpirySetting('min', package, tenant);
+  return undefined === expires ? 60 : expires;
+};
+
+const getMaxSubscriptionExpiry = (package, tenant) => {
+  const expires = getSubscriptionExpirySetting('max', package, tenant);
+  return undefined === expires ? 86400 : expires;
+};
+
+/**
+ * The value of the Subscription-State header of a NOTIFY (RFC 6665 section 8.2.3); an active or pending
+ * subscription carries the number of seconds it has left, if known
+ * @param {String} subscriptionState - e.g. 'active' or 'terminated;reason=timeout'
+ * @param {Number} expiresAt - when the subscription expires, in milliseconds since the epoch
+ */
+const makeSubscriptionState = (subscriptionState, expiresAt) => {
+  if (subscriptionState.startsWith('terminated') || !expiresAt) return subscriptionState;
+  return `${subscriptionState};expires=${Math.max(0, Math.round((expiresAt - Date.now()) / 1000))}`;
+};
+
+const getDefaultPublishExpiry = (package) => {
+  if (!config.has('methods.publish.expire.default')) return 3600;
+  const obj = _.find(config.get('methods.publish.expire.default'), (o, k) => {return k === package;});
   if (!obj) return 3600;
   return obj.expires;
 };
 
+const getMinPublishExpiry = (package) => {
+  if (!config.has('methods.publish.expire.min')) return 60;
+  const obj = _.find(config.get('methods.publish.expire.min'), (o, k) => {return k === package;});
+  if (!obj) return 60;
+  return obj.expires;
+};
+
+const getDefaultRegisterExpiry = () => {
+  if (!config.has('methods.register.expire.default')) return 3600;
+  return config.get('methods.register.expire.default');
+};
+
+const getMinRegisterExpiry = () => {
+  if (!config.has('methods.register.expire.min')) return 60;
+  return config.get('methods.register.expire.min');
+};
+
+/**
+ * Identifies this instance when several instances share a redis server; it must stay the same when the instance
+ * restarts, so that it restores its own subscriptions, so defaults to the hostname (INSTANCE_ID must be set to tell
+ * apart several instances on one host)
+ */
+const instanceId = process.env.INSTANCE_ID || os.hostname();
+const getInstanceId = () => instanceId;
+
+/**
+ * An error to be reported to an HTTP client (see lib/admin.js) with the given status
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
 module.exports = {
+  HttpError,
   parseAor,
   generateETag,
+  generateMessageId,
+  escapeXml,
   parseEventHeader,
+  negotiateContentType,
+  getNotifyRate,
   getDefaultSubscriptionExpiry,
+  getMinSubscriptionExpiry,
+  getMaxSubscriptionExpiry,
+  makeSubscriptionState,
+  getDefaultPublishExpiry,
+  getMinPublishExpiry,
+  getDefaultRegisterExpiry,
+  getMinRegisterExpiry,
+  getInstanceId,
 };
 
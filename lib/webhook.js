@@ -0,0 +1,86 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const {URL} = require('url');
+const debug = require('debug')('drachtio:presence-agent');
+const RETRIES = isNaN(parseInt(process.env.WEBHOOK_RETRIES)) ? 3 : parseInt(process.env.WEBHOOK_RETRIES);
+const RETRY_INTERVAL = parseInt(process.env.WEBHOOK_RETRY_INTERVAL) || 1;
+const TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 5;
+
+/**
+ * @module webhook
+ *
+ * Delivers notifications to webhook subscriptions (see lib/api-subscriptions.js) by POSTing them as JSON.
+ *
+ * If the subscription has a secret, the request carries the header
+ *   X-Signature-256: sha256=${HMAC-SHA256 of the request body, keyed by the secret, in hex}
+ * so that the receiver can check that the notification came from us.
+ *
+ * A notification that times out (after WEBHOOK_TIMEOUT seconds, default 5), can not be sent, or gets a 429 or 5xx
+ * response is retried up to WEBHOOK_RETRIES times (default 3), after WEBHOOK_RETRY_INTERVAL seconds (default 1),
+ * doubling the interval each time.  A pending retry is abandoned when a newer notification is sent on the same
+ * subscription, since that carries the latest state.
+ */
+
+const retries = new Map();
+
+/**
+ * Send a notification to a webhook
+ * @param {Object} logger - pino logger
+ * @param {Object} target - {url, secret} of the subscription
+ * @param {Object} notification - the notification, which is sent as JSON
+ * @returns {Number} the status of the response to the first attempt, or nothing if it failed
+ */
+const send = async(logger, target, notification) => {
+  const {id} = notification;
+  clearTimeout(retries.get(id));
+  retries.delete(id);
+  return attempt(logger, target, id, JSON.stringify(notification), 0);
+};
+
+const attempt = async(logger, target, id, json, n) => {
+  let status;
+  try {
+    status = await post(target, json);
+    debug(`webhook#attempt: ${target.url} returned ${status} for subscription ${id}`);
+    if (status < 300) return status;
+    logger.info(`webhook: ${target.url} returned ${status} for subscription ${id}`);
+    if (429 !== status && status < 500) return status;
+  } catch (err) {
+    logger.info(`webhook: unable to POST to ${target.url} for subscription ${id}: ${err.message}`);
+  }
+
+  if (n < RETRIES) {
+    const delay = RETRY_INTERVAL * 1000 * Math.pow(2, n);
+    retries.set(id, setTimeout(() => {
+      retries.delete(id);
+      attempt(logger, target, id, json, n + 1);
+    }, delay));
+  }
+  else logger.info(`webhook: giving up on notification for subscription ${id} after ${n + 1} attempts`);
+  return status;
+};
+
+const post = (target, json) => {
+  return new Promise((resolve, reject) => {
+    const url = new URL(target.url);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json)
+    };
+    if (target.secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', target.secret).update(json).digest('hex')}`;
+    }
+    const req = ('https:' === url.protocol ? https : http).request(url, {method: 'POST', headers}, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.setTimeout(TIMEOUT * 1000, () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(json);
+  });
+};
+
+module.exports = {
+  send
+};
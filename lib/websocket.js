@@ -0,0 +1,88 @@
+const WebSocket = require('ws');
+const debug = require('debug')('drachtio:presence-agent');
+const {getInstanceId} = require('./utils');
+const {notifyState} = require('./api-subscriptions');
+
+/**
+ * @module websocket
+ *
+ * A WebSocket server for websocket subscriptions (see lib/api-subscriptions.js).  It is started only if
+ * WEBSOCKET_PORT is set, and listens on WEBSOCKET_ADDRESS (default 127.0.0.1, as for the admin API).
+ *
+ * Having created a websocket subscription through the admin API, the client connects to
+ *   ws://${address}:${port}/subscriptions/${id}
+ * and is sent the current state, then each notification for the subscription, as a JSON text message
+ * (see lib/delivery.js).  The id of the subscription is hard to guess, and is all the client needs to connect.
+ * The instance the client connects to becomes the owner of the subscription, so that notifications generated by
+ * other instances are forwarded to it.  Notifications generated while the client is not connected are dropped;
+ * the client is sent the current state when it reconnects.  When the subscription is terminated the client
+ * is sent the final notification and the connection is closed.
+ */
+
+const CLOSE_NOT_FOUND = 4404;
+const CLOSE_REPLACED = 4409;
+
+module.exports = function(logger, srf) {
+  const port = parseInt(process.env.WEBSOCKET_PORT);
+  const address = process.env.WEBSOCKET_ADDRESS || '127.0.0.1';
+  const connections = new Map();
+
+  const wss = new WebSocket.Server({port, host: address});
+  wss.on('listening', () => logger.info(`websocket: listening on ${address}:${port}`));
+  wss.on('error', (err) => logger.error(err, `websocket: Error listening on ${address}:${port}`));
+  wss.on('connection', (ws, req) => {
+    onConnection(logger, srf, connections, ws, req)
+      .catch((err) => {
+        logger.error(err, `websocket: Error accepting connection for ${req.url}`);
+        ws.close(1011);
+      });
+  });
+
+  return {
+    /**
+     * Send a notification to the client connected for a subscription
+     * @returns {Boolean} true if a client was connected
+     */
+    send: (dialogId, notification) => {
+      const ws = connections.get(dialogId);
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        debug(`websocket#send: no client connected for ${dialogId}; dropping notification`);
+        return false;
+      }
+      ws.send(JSON.stringify(notification));
+      if (notification.subscriptionState.startsWith('terminated')) {
+        connections.delete(dialogId);
+        ws.close(1000, 'subscription terminated');
+      }
+      return true;
+    },
+
+    close: () => {
+      connections.forEach((ws) => ws.close(1001));
+      wss.close();
+    }
+  };
+};
+
+const onConnection = async(logger, srf, connections, ws, req) => {
+  const {redisDb} = srf.locals;
+  const arr = /^\/subscriptions\/([^/?]+)/.exec(req.url);
+  const dialogId = arr ? decodeURIComponent(arr[1]) : null;
+  const record = dialogId && dialogId.startsWith('websocket:') ? await redisDb.getSubscriptionDialog(dialogId) : null;
+  if (!record || record.expires <= 0) {
+    logger.info(`websocket: connection for unknown subscription ${req.url}`);
+    return ws.close(CLOSE_NOT_FOUND, 'no such subscription');
+  }
+
+  const previous = connections.get(dialogId);
+  if (previous) previous.close(CLOSE_REPLACED, 'replaced by a new connection');
+  connections.set(dialogId, ws);
+  ws.on('close', () => {
+    if (connections.get(dialogId) === ws) connections.delete(dialogId);
+    debug(`websocket: client for ${dialogId} disconnected`);
+  });
+  logger.info(`websocket: client connected for subscription ${dialogId}`);
+
+  if (record.owner !== getInstanceId()) await redisDb.setSubscriptionDialogOwner(dialogId, getInstanceId());
+  await notifyState(logger, srf, record);
+};
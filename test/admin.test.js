@@ -0,0 +1,53 @@
+process.env.ADMIN_HTTP_PORT = '0';
+
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const {once} = require('events');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeSrf} = require('./helpers/sip');
+
+const setup = async(t) => {
+  const redisDb = await createRedisDb();
+  const admin = require('../lib/admin')(logger, makeSrf({redisDb}));
+  t.after(() => admin.close());
+  await once(admin.server, 'listening');
+
+  const get = async(path) => {
+    const [res] = await once(http.get({port: admin.server.address().port, path}), 'response');
+    let body = '';
+    for await (const chunk of res) body += chunk;
+    return {status: res.statusCode, body: JSON.parse(body)};
+  };
+  return {redisDb, get};
+};
+
+test('admin API', async(t) => {
+  await t.test('rejects a path that is not properly percent-encoded', async(t) => {
+    const {get} = await setup(t);
+    const {status, body} = await get('/subscriptions/abc%E0%A4%A');
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /percent-encoding/);
+  });
+
+  await t.test('does not count subscriptions and registrations that have expired', async(t) => {
+    const {redisDb, get} = await setup(t);
+    const subscription = {subscriber: 'alice@drachtio.org', resource: 'bob@drachtio.org', eventType: 'dialog'};
+    await redisDb.addSubscriptionDialog('call-1;from-tag=1', Object.assign({callId: 'call-1'}, subscription), 600);
+    await redisDb.addSubscriptionDialog('call-2;from-tag=2', Object.assign({callId: 'call-2'}, subscription), 600);
+    await redisDb.updateRegistrations('bob@drachtio.org', [{registration: {contact: 'sip:bob@10.0.0.1'}, expires: 600}]);
+    await redisDb.updateRegistrations('carol@drachtio.org', [{registration: {contact: 'sip:carol@10.0.0.2'},
+      expires: 600}]);
+
+    /* expired, but not yet swept */
+    const past = Date.now() - 1000;
+    await redisDb.client.zaddAsync('sub-dlgs', past, 'call-2;from-tag=2');
+    await redisDb.client.zaddAsync('reg-expiry', past, JSON.stringify(['carol@drachtio.org', 'sip:carol@10.0.0.2']));
+
+    const {status, body} = await get('/counts');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.subscriptions, 1);
+    assert.deepStrictEqual(body.subscriptionsByEvent, {dialog: 1});
+    assert.strictEqual(body.registrations, 1);
+  });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeSrf, waitFor} = require('./helpers/sip');
+const apiSubscriptions = require('../lib/api-subscriptions');
+
+const setup = async(t) => {
+  const redisDb = await createRedisDb();
+  const notifications = [];
+  const srf = makeSrf({
+    redisDb,
+    rls: {isResourceList: async() => false},
+    authorization: {authorize: async() => 'allow'},
+    websocket: {
+      send: async(id, notification) => {
+        notifications.push(notification);
+        return {status: 200};
+      }
+    }
+  });
+  redisDb.eventPackages.dialog = require('../lib/events/packages/dialog')(logger, redisDb.client, srf);
+  t.after(() => redisDb.eventPackages.dialog.disconnect());
+  return {srf, notifications};
+};
+
+/* send the subscription its current state, and return the version of the document it was sent */
+const notifyState = async(srf, notifications, id) => {
+  const n = notifications.length;
+  await apiSubscriptions.notifyState(logger, srf, await srf.locals.redisDb.getSubscriptionDialog(id));
+  await waitFor(() => notifications.length > n);
+  return JSON.parse(notifications[n].body).version;
+};
+
+test('api subscriptions', async(t) => {
+  await t.test('keep the version of their documents going up when they are refreshed', async(t) => {
+    const {srf, notifications} = await setup(t);
+    const {id} = await apiSubscriptions.create(logger, srf, {notifyType: 'websocket', subscriber: 'alice@drachtio.org',
+      resource: 'bob@drachtio.org', eventType: 'dialog', accept: 'application/dialog-info+json', expires: 600});
+
+    const versions = [await notifyState(srf, notifications, id)];
+    assert.deepStrictEqual(await apiSubscriptions.refresh(logger, srf, id, {expires: 1200}), {id, expires: 1200});
+    versions.push(await notifyState(srf, notifications, id));
+    assert.deepStrictEqual(versions, [0, 1]);
+    assert.ok((await srf.locals.redisDb.getSubscriptionDialog(id)).expires > 600);
+  });
+});
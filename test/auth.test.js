@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeRequest, makeResponse} = require('./helpers/sip');
+const auth = require('../lib/auth')(logger);
+
+const URI = 'sip:bob@drachtio.org';
+const REALM = 'drachtio.org';
+const md5 = (str) => crypto.createHash('md5').update(str).digest('hex');
+
+const setup = async() => {
+  const redisDb = await createRedisDb();
+  await redisDb.client.hsetAsync(`auth-users:${REALM}`, 'alice', 'secret');
+  return {locals: {redisDb}};
+};
+
+/* send a SUBSCRIBE with the given Authorization header (if any) through the middleware */
+const send = async(srf, authorization) => {
+  const headers = {'To': `<${URI}>`, 'From': `<sip:alice@${REALM}>;tag=1234`};
+  if (authorization) headers['Authorization'] = authorization;
+  const req = makeRequest(srf, 'SUBSCRIBE', URI, headers);
+  const res = makeResponse();
+  const authenticated = new Promise((resolve) => auth(req, res, resolve));
+  const status = await Promise.race([authenticated.then(() => 'next'), res.sent.then(({status}) => status)]);
+  return {status, req, res};
+};
+
+const getNonce = (res) => /nonce="([^"]+)"/.exec(res.opts.headers['WWW-Authenticate'])[1];
+
+const makeAuthorization = (nonce, {password = 'secret', nc = '00000001', username = 'alice', uri = URI} = {}) => {
+  const ha1 = md5(`${username}:${REALM}:${password}`);
+  const ha2 = md5(`SUBSCRIBE:${uri}`);
+  const response = md5(`${ha1}:${nonce}:${nc}:abcd:auth:${ha2}`);
+  return `Digest username="${username}", realm="${REALM}", nonce="${nonce}", uri="${uri}", ` +
+    `response="${response}", qop=auth, nc=${nc}, cnonce="abcd", algorithm=MD5`;
+};
+
+test('digest authentication', async(t) => {
+  await t.test('challenges a request without credentials', async() => {
+    const {status, res} = await send(await setup());
+    assert.strictEqual(status, 401);
+    assert.match(res.opts.headers['WWW-Authenticate'], /^Digest realm="drachtio.org", nonce="\w+", qop="auth"/);
+  });
+
+  await t.test('authenticates a correct response, identifying the subscriber', async() => {
+    const srf = await setup();
+    const nonce = getNonce((await send(srf)).res);
+    const {status, req} = await send(srf, makeAuthorization(nonce));
+    assert.strictEqual(status, 'next');
+    assert.deepStrictEqual(req.authorization, {username: 'alice', realm: REALM, aor: `alice@${REALM}`});
+  });
+
+  await t.test('challenges a wrong response again, without using up the nonce', async() => {
+    const srf = await setup();
+    const nonce = getNonce((await send(srf)).res);
+    const {status, res} = await send(srf, makeAuthorization(nonce, {password: 'guess'}));
+    assert.strictEqual(status, 401);
+    assert.notStrictEqual(getNonce(res), nonce);
+    assert.strictEqual((await send(srf, makeAuthorization(nonce))).status, 'next');
+  });
+
+  await t.test('challenges a replayed nonce count', async() => {
+    const srf = await setup();
+    const nonce = getNonce((await send(srf)).res);
+    assert.strictEqual((await send(srf, makeAuthorization(nonce))).status, 'next');
+    assert.strictEqual((await send(srf, makeAuthorization(nonce))).status, 401);
+    assert.strictEqual((await send(srf, makeAuthorization(nonce, {nc: '00000002'}))).status, 'next');
+  });
+
+  await t.test('challenges an unknown nonce as stale', async() => {
+    const {status, res} = await send(await setup(), makeAuthorization('0123456789abcdef'));
+    assert.strictEqual(status, 401);
+    assert.match(res.opts.headers['WWW-Authenticate'], /stale=true$/);
+  });
+
+  await t.test('rejects a user that has no password in the realm', async() => {
+    const srf = await setup();
+    const nonce = getNonce((await send(srf)).res);
+    assert.strictEqual((await send(srf, makeAuthorization(nonce, {username: 'mallory'}))).status, 403);
+  });
+
+  await t.test('rejects credentials for another request-uri', async() => {
+    const srf = await setup();
+    const nonce = getNonce((await send(srf)).res);
+    assert.strictEqual((await send(srf, makeAuthorization(nonce, {uri: 'sip:carol@drachtio.org'}))).status, 400);
+  });
+});
@@ -0,0 +1,39 @@
+process.env.INSTANCE_ID = 'instance-b';
+
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const createCluster = require('../lib/cluster');
+
+const start = async(t, redisDb) => {
+  const cluster = createCluster(logger, {locals: {redisDb: redisDb || await createRedisDb()}});
+  t.after(() => cluster.disconnect());
+  return cluster;
+};
+
+test('claimEvent', async(t) => {
+  await t.test('claims a message with a messageId once', async(t) => {
+    const cluster = await start(t);
+    const msg = JSON.stringify({version: 1, messageId: 'm1', aor: 'daveh@drachtio.org', newMessages: 1});
+    assert.strictEqual(await cluster.claimEvent('message-summary', msg), true);
+    assert.strictEqual(await cluster.claimEvent('message-summary', msg), false);
+    assert.strictEqual(await cluster.claimEvent('message-summary', msg.replace('m1', 'm2')), true);
+  });
+
+  await t.test('lets the only instance handle every message without a messageId, even if repeated', async(t) => {
+    const cluster = await start(t);
+    const msg = 'daveh@drachtio.org 1 0';
+    assert.strictEqual(await cluster.claimEvent('message-summary', msg), true);
+    assert.strictEqual(await cluster.claimEvent('message-summary', msg), true);
+  });
+
+  await t.test('leaves a message without a messageId to the leader', async(t) => {
+    const redisDb = await createRedisDb();
+    await redisDb.client.multi()
+      .set('instance:instance-a', Date.now(), 'EX', 15)
+      .sadd('instances', 'instance-a')
+      .execAsync();
+    const cluster = await start(t, redisDb);
+    assert.strictEqual(await cluster.claimEvent('message-summary', 'daveh@drachtio.org 1 0'), false);
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeSrf, waitFor} = require('./helpers/sip');
+
+const AOR = 'bob@drachtio.org';
+const subscription = {subscriber: 'alice@drachtio.org', resource: AOR, eventType: 'dialog', callId: 'call-1'};
+
+/* a dialog package watched by alice, with the initial (full state) NOTIFY of her subscription already sent */
+const setup = async(t) => {
+  const redisDb = await createRedisDb();
+  const srf = makeSrf({redisDb});
+  const dialog = redisDb.eventPackages.dialog = require('../lib/events/packages/dialog')(logger, redisDb.client, srf);
+  t.after(() => dialog.disconnect());
+
+  const dlg = {id: 'call-1;from-tag=1234'};
+  await dialog.addSubscription(dlg, subscription, 600);
+  await redisDb.addSubscriptionDialog(dlg.id, subscription, 600);
+  const {content} = await dialog.getEventState(subscription.subscriber, AOR, null, subscription);
+
+  const publish = async(event) => {
+    const n = srf.requests.length;
+    await redisDb.client.publishAsync('dialog', JSON.stringify(Object.assign({version: 1, aor: AOR}, event)));
+    await waitFor(() => srf.requests.length > n);
+    return srf.requests[n].body;
+  };
+  return {redisDb, srf, publish, content};
+};
+
+const getVersion = (body) => parseInt(/ version="(\d+)"/.exec(body)[1]);
+const getDialogIds = (body) => [...body.matchAll(/<dialog id="([^"]+)"/g)].map((m) => m[1]);
+
+test('dialog-info documents', async(t) => {
+  await t.test('report each change of concurrent dialogs in a partial document with a higher version', async(t) => {
+    const {redisDb, publish, content} = await setup(t);
+    assert.strictEqual(getVersion(content), 0);
+    assert.match(content, /state="full"/);
+
+    const first = await publish({id: 'd1', callId: 'c1', direction: 'recipient', state: 'early'});
+    const second = await publish({id: 'd2', callId: 'c2', direction: 'initiator', state: 'confirmed'});
+    const third = await publish({id: 'd1', callId: 'c1', direction: 'recipient', state: 'terminated',
+      event: 'cancelled'});
+
+    assert.deepStrictEqual([first, second, third].map(getVersion), [1, 2, 3]);
+    assert.ok([first, second, third].every((body) => /state="partial"/.test(body)));
+    assert.deepStrictEqual([first, second, third].map(getDialogIds), [['d1'], ['d2'], ['d1']]);
+    assert.match(third, /<state event="cancelled">terminated<\/state>/);
+
+    assert.deepStrictEqual(await redisDb.client.smembersAsync(`dlgs:${AOR}`), ['d2']);
+    const {content: full} = await redisDb.eventPackages.dialog.getEventState(subscription.subscriber, AOR, null,
+      subscription);
+    assert.strictEqual(getVersion(full), 4);
+    assert.deepStrictEqual(getDialogIds(full), ['d2']);
+  });
+
+  await t.test('carry the identities and targets of the parties, escaped', async(t) => {
+    const {publish} = await setup(t);
+    const body = await publish({id: 'd1', callId: 'c1', localTag: 'a"b', direction: 'initiator',
+      state: 'confirmed', code: 200, localIdentity: 'sip:bob@drachtio.org', localDisplay: 'Bob & Co',
+      remoteIdentity: 'sip:carol@drachtio.org', remoteTarget: 'sip:carol@10.0.0.1;transport=tcp',
+      referredBy: 'sip:<dave>@drachtio.org'});
+
+    assert.match(body, /<dialog id="d1" call-id="c1" local-tag="a&quot;b" direction="initiator">/);
+    assert.match(body, /<state code="200">confirmed<\/state><duration>\d+<\/duration>/);
+    assert.match(body, /<referred-by>sip:&lt;dave&gt;@drachtio.org<\/referred-by>/);
+    assert.match(body, /<local><identity display="Bob &amp; Co">sip:bob@drachtio.org<\/identity><\/local>/);
+    const remote = '<remote><identity>sip:carol@drachtio.org</identity>' +
+      '<target uri="sip:carol@10.0.0.1;transport=tcp"/></remote>';
+    assert.ok(body.includes(remote));
+  });
+});
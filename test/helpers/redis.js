@@ -0,0 +1,36 @@
+const bluebird = require('bluebird');
+const Emitter = require('events');
+const redis = require('redis-mock');
+const RedisDb = require('../../lib/redisdb');
+
+/* redis-mock replies OK to SET ... NX even if the key exists, where redis replies nil */
+const set = redis.RedisClient.prototype.set;
+redis.RedisClient.prototype.set = function(...args) {
+  const callback = 'function' === typeof args[args.length - 1] ? args.pop() : () => {};
+  if (!args.slice(2).some((arg) => 'NX' === `${arg}`.toUpperCase())) return set.call(this, ...args, callback);
+  this.exists(args[0], (err, exists) => {
+    if (err || exists) return callback(err, null);
+    set.call(this, ...args, callback);
+  });
+};
+
+bluebird.promisifyAll(redis.RedisClient.prototype);
+bluebird.promisifyAll(redis.Multi.prototype);
+
+const logger = {debug() {}, info() {}, error() {}};
+
+/**
+ * Create a RedisDb backed by an in-memory redis, without connecting to a redis server or loading event packages;
+ * all the clients share one keyspace, which is emptied by each call
+ */
+const createRedisDb = async(eventPackages = {}) => {
+  const db = Object.create(RedisDb.prototype);
+  Emitter.call(db);
+  db.logger = logger;
+  db.client = redis.createClient();
+  db.eventPackages = eventPackages;
+  await db.client.flushallAsync();
+  return db;
+};
+
+module.exports = {logger, createRedisDb};
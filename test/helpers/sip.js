@@ -0,0 +1,104 @@
+const Emitter = require('events');
+
+/**
+ * A stand-in for a drachtio-srf request, with the given headers
+ */
+const makeRequest = (srf, method, uri, headers, extra = {}) => {
+  const find = (name) => Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+  return Object.assign({
+    srf,
+    method,
+    uri,
+    source_address: '10.0.0.1',
+    source_port: 5060,
+    protocol: 'udp',
+    has: (name) => undefined !== find(name),
+    get: (name) => headers[find(name)],
+    getParsedHeader: (name) => {
+      const value = headers[find(name)];
+      if ('to' === name.toLowerCase() || 'from' === name.toLowerCase()) {
+        const [, uri, params] = /<([^>]+)>(.*)/.exec(value);
+        return {uri, params: parseParams(params)};
+      }
+      return value.split(',').map((c) => {
+        const [, uri, params] = /<([^>]+)>(.*)/.exec(c.trim());
+        return {uri, params: parseParams(params)};
+      });
+    }
+  }, extra);
+};
+
+const parseParams = (str) => {
+  const params = {};
+  str.split(';').filter((p) => p.trim()).forEach((p) => {
+    const [name, value] = p.split('=');
+    params[name.trim()] = undefined === value ? null : value.trim();
+  });
+  return params;
+};
+
+/**
+ * A stand-in for a drachtio-srf response; sent resolves with {status, opts} once it has been sent
+ */
+const makeResponse = () => {
+  let resolve;
+  const headers = {};
+  const res = {
+    sent: new Promise((r) => resolve = r),
+    getHeader: (name) => headers[name],
+    setHeader: (name, value) => headers[name] = value
+  };
+  res.send = (status, opts = {}) => {
+    Object.assign(res, {status, opts});
+    resolve({status, opts});
+  };
+  return res;
+};
+
+/**
+ * A stand-in for the Srf object, whose createUAS answers the SUBSCRIBE (with the headers given) and returns a
+ * dialog; the requests sent, on a dialog or with a stack dialog id, are recorded and answered by srf.respond
+ * (by default with a 200)
+ */
+const makeSrf = (locals) => {
+  const requests = [];
+  const dialogs = [];
+  const send = async(opts) => {
+    requests.push(opts);
+    return srf.respond(opts);
+  };
+  const srf = {
+    locals,
+    requests,
+    dialogs,
+    respond: () => ({status: 200}),
+    request: (uri, opts) => send(opts),
+    findDialogById: (id) => dialogs.find((dlg) => dlg.id === id),
+    removeDialog: (dlg) => dialogs.splice(dialogs.indexOf(dlg), 1),
+    createUAS: async(req, res, opts) => {
+      res.send(200, opts);
+      const dlg = new Emitter();
+      dialogs.push(dlg);
+      return Object.assign(dlg, {
+        id: `${req.get('Call-ID')};from-tag=${req.getParsedHeader('from').params.tag}`,
+        srf,
+        sip: {callId: req.get('Call-ID')},
+        request: send
+      });
+    }
+  };
+  return srf;
+};
+
+/**
+ * Wait until a condition holds, e.g. for work a handler carries on with after it has responded
+ */
+const waitFor = async(condition, ms = 1000) => {
+  const until = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+module.exports = {makeRequest, makeResponse, makeSrf, waitFor};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {waitFor} = require('./helpers/sip');
+const {createMessageParser, receiveMessage} = require('../lib/events/messages');
+
+const parse = createMessageParser({1: require('../lib/events/schemas/reg-v1.json')}, (fields) => {
+  const [aor, event, contact, expires] = fields;
+  return {aor, event, contact, expires: /^\d+$/.test(expires) ? parseInt(expires) : expires};
+});
+
+const message = {aor: 'daveh@drachtio.org', event: 'registered', contact: 'sip:daveh@10.0.0.1', expires: 3600};
+
+test('createMessageParser', async(t) => {
+  await t.test('returns a JSON message without its version', () => {
+    assert.deepStrictEqual(parse(JSON.stringify(Object.assign({version: 1}, message))), message);
+  });
+
+  await t.test('strips the messageId', () => {
+    assert.deepStrictEqual(parse(JSON.stringify(Object.assign({version: 1, messageId: 'abc'}, message))), message);
+  });
+
+  await t.test('converts a message in the original format', () => {
+    assert.deepStrictEqual(parse(' daveh@drachtio.org registered sip:daveh@10.0.0.1 3600 '), message);
+  });
+
+  await t.test('rejects invalid JSON', () => {
+    assert.throws(() => parse('{"version": 1,'), /^Error: invalid JSON/);
+  });
+
+  await t.test('rejects a version it has no schema for', () => {
+    assert.throws(() => parse(JSON.stringify(Object.assign({version: 2}, message))), /unsupported version 2/);
+    assert.throws(() => parse(JSON.stringify(message)), /unsupported version undefined/);
+  });
+
+  await t.test('rejects a message that does not match its schema, giving the reason', () => {
+    const bad = Object.assign({version: 1}, message, {event: 'bogus', extra: true});
+    assert.throws(() => parse(JSON.stringify(bad)), (err) => /event/.test(err.message) && /extra/.test(err.message));
+    assert.throws(() => parse('daveh@drachtio.org registered sip:daveh@10.0.0.1 soon'), /expires/);
+    assert.throws(() => parse(JSON.stringify(Object.assign({version: 1, messageId: ''}, message))), /messageId/);
+  });
+});
+
+test('receiveMessage', async(t) => {
+  await t.test('returns a valid message', async() => {
+    const {client} = await createRedisDb();
+    const msg = JSON.stringify(Object.assign({version: 1}, message));
+    assert.deepStrictEqual(await receiveMessage(logger, client, 'reg', msg, parse), message);
+  });
+
+  await t.test('sends an invalid message to the dead-letter channel, with the reason', async(t) => {
+    const {client} = await createRedisDb();
+    const listener = client.duplicate();
+    t.after(() => listener.quit());
+    const letters = [];
+    listener.on('message', (channel, msg) => letters.push(JSON.parse(msg)));
+    await new Promise((resolve) => listener.once('subscribe', resolve).subscribe('dead-letter'));
+
+    assert.strictEqual(await receiveMessage(logger, client, 'reg', 'daveh@drachtio.org moved', parse), undefined);
+    await waitFor(() => letters.length);
+    assert.strictEqual(letters[0].channel, 'reg');
+    assert.strictEqual(letters[0].message, 'daveh@drachtio.org moved');
+    assert.match(letters[0].reason, /event/);
+    assert.ok(letters[0].instance && letters[0].receivedAt);
+  });
+});
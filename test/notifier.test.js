@@ -0,0 +1,108 @@
+const Emitter = require('events');
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeSrf} = require('./helpers/sip');
+const {sendNotify} = require('../lib/notifier');
+
+const DIALOG_ID = 'call-1;from-tag=1234';
+const subscription = {subscriber: 'alice@drachtio.org', resource: 'bob@drachtio.org', eventType: 'dialog',
+  callId: 'call-1'};
+
+const setup = async() => {
+  const redisDb = await createRedisDb();
+  const srf = makeSrf({redisDb});
+  await redisDb.addSubscriptionDialog(DIALOG_ID, subscription, 600);
+  srf.dialogs.push(Object.assign(new Emitter(), {id: DIALOG_ID}));
+  return srf;
+};
+
+/* answer NOTIFYs with the given status (and headers) */
+const respond = (srf, status, headers = {}) => {
+  srf.respond = () => ({status, has: (name) => name in headers, get: (name) => headers[name]});
+};
+
+/* let the handling of a NOTIFY's outcome, which is not awaited, run to completion */
+const settle = async() => {
+  for (let i = 0; i < 20; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+const notify = async(srf) => {
+  const rendered = [];
+  await sendNotify(logger, srf, Object.assign({dialogId: DIALOG_ID}, subscription), {
+    eventType: 'dialog',
+    render: async(fullState) => {
+      rendered.push(fullState);
+      return {contentType: 'application/dialog-info+xml', body: '<dialog-info/>'};
+    }
+  });
+  await settle();
+  return rendered;
+};
+
+test('NOTIFY failures', async(t) => {
+  for (const status of [481, 408]) {
+    await t.test(`a ${status} response tears down the subscription`, async() => {
+      const srf = await setup();
+      respond(srf, status);
+      await notify(srf);
+      assert.strictEqual(await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID), null);
+      assert.strictEqual(srf.findDialogById(DIALOG_ID), undefined);
+    });
+  }
+
+  await t.test('a NOTIFY that can not be sent tears down the subscription', async() => {
+    const srf = await setup();
+    srf.respond = () => {
+      throw new Error('no route');
+    };
+    await assert.rejects(notify(srf), /no route/);
+    await settle();
+    assert.strictEqual(await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID), null);
+  });
+
+  await t.test('a 5xx response with Retry-After is retried with full state, doubling the delay', async(t) => {
+    t.mock.timers.enable({apis: ['setTimeout']});
+    const srf = await setup();
+    respond(srf, 503, {'Retry-After': '2'});
+    const rendered = await notify(srf);
+    assert.strictEqual(srf.requests.length, 1);
+
+    t.mock.timers.tick(1999);
+    await settle();
+    assert.strictEqual(srf.requests.length, 1);
+    t.mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(srf.requests.length, 2);
+
+    respond(srf, 200);
+    t.mock.timers.tick(4000);
+    await settle();
+    assert.strictEqual(srf.requests.length, 3);
+    assert.deepStrictEqual(rendered, [false, true, true]);
+
+    t.mock.timers.tick(60000);
+    await settle();
+    assert.strictEqual(srf.requests.length, 3, 'a NOTIFY that succeeds is not retried');
+    const record = await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID);
+    assert.strictEqual(record.notifyFailures, 0);
+  });
+
+  await t.test('a 5xx response without Retry-After is counted, and five in a row tear down the subscription',
+    async() => {
+      const srf = await setup();
+      respond(srf, 500);
+      for (let i = 0; i < 4; i++) await notify(srf);
+      assert.strictEqual((await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID)).notifyFailures, 4);
+
+      respond(srf, 200);
+      await notify(srf);
+      assert.strictEqual((await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID)).notifyFailures, 0);
+
+      respond(srf, 500);
+      for (let i = 0; i < 4; i++) await notify(srf);
+      assert.ok(await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID));
+      await notify(srf);
+      assert.strictEqual(await srf.locals.redisDb.getSubscriptionDialog(DIALOG_ID), null);
+    });
+});
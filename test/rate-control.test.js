@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('assert');
+const rateControl = require('../lib/rate-control');
+
+const logger = {debug() {}, info() {}, error() {}};
+
+const setup = (t) => {
+  t.mock.timers.enable({apis: ['setTimeout', 'Date'], now: 1000000});
+  const sent = [];
+  const send = async(fullState) => sent.push({at: Date.now() - 1000000, fullState});
+  return {sent, send};
+};
+
+test('rate control', async(t) => {
+  await t.test('sends a NOTIFY straight away if none has been sent within the minimum interval', (t) => {
+    const {sent, send} = setup(t);
+    rateControl.schedule(logger, 'd1', {minInterval: 10}, send);
+    assert.deepStrictEqual(sent, [{at: 0, fullState: false}]);
+    rateControl.clear('d1');
+  });
+
+  await t.test('holds a NOTIFY until the minimum interval has passed', (t) => {
+    const {sent, send} = setup(t);
+    rateControl.schedule(logger, 'd2', {minInterval: 10}, send);
+    t.mock.timers.tick(4000);
+    rateControl.schedule(logger, 'd2', {minInterval: 10}, send);
+    assert.strictEqual(sent.length, 1);
+    t.mock.timers.tick(5999);
+    assert.strictEqual(sent.length, 1);
+    t.mock.timers.tick(1);
+    assert.deepStrictEqual(sent[1], {at: 10000, fullState: false});
+    rateControl.clear('d2');
+  });
+
+  await t.test('replaces held NOTIFYs with one carrying full state', (t) => {
+    const {sent, send} = setup(t);
+    rateControl.schedule(logger, 'd3', {minInterval: 10}, send);
+    t.mock.timers.tick(1000);
+    rateControl.schedule(logger, 'd3', {minInterval: 10}, send);
+    t.mock.timers.tick(1000);
+    rateControl.schedule(logger, 'd3', {minInterval: 10}, send);
+    t.mock.timers.tick(1000);
+    rateControl.schedule(logger, 'd3', {minInterval: 10}, send);
+    t.mock.timers.tick(7000);
+    assert.deepStrictEqual(sent, [{at: 0, fullState: false}, {at: 10000, fullState: true}]);
+    t.mock.timers.tick(20000);
+    assert.strictEqual(sent.length, 2);
+    rateControl.clear('d3');
+  });
+
+  await t.test('sends the NOTIFYs that start and end a subscription straight away', (t) => {
+    const {sent, send} = setup(t);
+    rateControl.schedule(logger, 'd4', {minInterval: 10}, send);
+    rateControl.schedule(logger, 'd4', {minInterval: 10}, send, {immediate: true});
+    rateControl.schedule(logger, 'd4', {minInterval: 10}, send);
+    rateControl.schedule(logger, 'd4', {minInterval: 10}, send, {final: true});
+    assert.deepStrictEqual(sent.map((s) => s.at), [0, 0, 0]);
+    t.mock.timers.tick(60000);
+    assert.strictEqual(sent.length, 3, 'the held NOTIFY is dropped once the subscription has ended');
+  });
+
+  await t.test('forces a NOTIFY with full state when none has been sent for the force interval', (t) => {
+    const {sent, send} = setup(t);
+    rateControl.schedule(logger, 'd5', {minInterval: 0, force: 30}, send);
+    t.mock.timers.tick(20000);
+    rateControl.schedule(logger, 'd5', {minInterval: 0, force: 30}, send);
+    t.mock.timers.tick(30000);
+    t.mock.timers.tick(30000);
+    assert.deepStrictEqual(sent, [
+      {at: 0, fullState: false},
+      {at: 20000, fullState: false},
+      {at: 50000, fullState: true},
+      {at: 80000, fullState: true}
+    ]);
+    rateControl.clear('d5');
+  });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const {createRedisDb} = require('./helpers/redis');
+
+const subscription = (callId, eventType = 'dialog') =>
+  ({subscriber: 'alice@drachtio.org', resource: 'bob@drachtio.org', eventType, callId});
+
+const getCounts = async(redisDb) => {
+  const counts = {};
+  for (const {eventType, status, count} of await redisDb.getSubscriptionCounts()) {
+    if (count) counts[`${eventType}:${status}`] = count;
+  }
+  return counts;
+};
+
+test('subscription counts', async(t) => {
+  await t.test('follow subscription dialogs as they are added, changed and removed', async() => {
+    const redisDb = await createRedisDb();
+    await redisDb.addSubscriptionDialog('d1', subscription('c1'), 600);
+    await redisDb.addSubscriptionDialog('d2', subscription('c2'), 600, false, 'pending');
+    await redisDb.addSubscriptionDialog('d3', subscription('c3', 'presence'), 600);
+    assert.deepStrictEqual(await getCounts(redisDb), {'dialog:active': 1, 'dialog:pending': 1, 'presence:active': 1});
+
+    await redisDb.setSubscriptionDialogStatus('d2', 'active');
+    await redisDb.addSubscriptionDialog('d3', subscription('c3', 'presence'), 1200);
+    await redisDb.removeSubscriptionDialog('d1');
+    assert.deepStrictEqual(await getCounts(redisDb), {'dialog:active': 1, 'presence:active': 1});
+  });
+
+  await t.test('do not count subscription dialogs whose records expired before they were removed', async() => {
+    const redisDb = await createRedisDb();
+    await redisDb.addSubscriptionDialog('d1', subscription('c1'), 600);
+    await redisDb.addSubscriptionDialog('d2', subscription('c2'), 600);
+    await redisDb.addSubscriptionDialog('d3', subscription('c3'), 600);
+    await redisDb.client.delAsync(['sub-dlg:d1', 'sub-dlg:d2']);
+
+    assert.deepStrictEqual((await redisDb.getSubscriptionDialogs()).map(({dialogId}) => dialogId), ['d3']);
+    assert.deepStrictEqual(await getCounts(redisDb), {'dialog:active': 1});
+
+    /* e.g. claimed by the expiry sweep (see lib/expiry.js) */
+    await redisDb.removeSubscriptionDialog('d2');
+    assert.deepStrictEqual(await getCounts(redisDb), {'dialog:active': 1});
+    await redisDb.removeSubscriptionDialog('d3');
+    assert.deepStrictEqual(await getCounts(redisDb), {});
+  });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeRequest, makeResponse, waitFor} = require('./helpers/sip');
+const register = require('../lib/register')(logger);
+
+const AOR = 'daveh@drachtio.org';
+const DESK = 'sip:daveh@10.0.0.1';
+const SOFT = 'sip:daveh@10.0.0.2:5062';
+
+const setup = async() => {
+  const redisDb = await createRedisDb();
+  const published = [];
+  redisDb.publish = async(channel, msg) => published.push(JSON.parse(msg));
+  return {redisDb, published, srf: {locals: {redisDb}}};
+};
+
+const send = async(srf, contact, expires) => {
+  const headers = {'To': `<sip:${AOR}>`, 'Call-ID': 'abc', 'Contact': contact};
+  if (undefined !== expires) headers['Expires'] = `${expires}`;
+  const res = makeResponse();
+  register(makeRequest(srf, 'REGISTER', `sip:${AOR.split('@')[1]}`, headers), res);
+  return await res.sent;
+};
+
+test('REGISTER with several contacts', async(t) => {
+  await t.test('registers each contact and publishes a reg event for each', async() => {
+    const {redisDb, published, srf} = await setup();
+    const {status, opts} = await send(srf, `<${DESK}>, <${SOFT}>;expires=600`, 3600);
+    assert.strictEqual(status, 200);
+    assert.match(opts.headers['Contact'], new RegExp(`<${DESK}>;expires=3600`));
+    assert.match(opts.headers['Contact'], new RegExp(`<${SOFT}>;expires=600`));
+
+    const registrations = await redisDb.queryRegistrations(AOR);
+    assert.deepStrictEqual(registrations.map((r) => r.contact).sort(), [DESK, SOFT]);
+    await waitFor(() => 2 === published.length);
+    assert.deepStrictEqual(published.map(({event, contact, expires}) => ({event, contact, expires})), [
+      {event: 'registered', contact: DESK, expires: 3600},
+      {event: 'registered', contact: SOFT, expires: 600}
+    ]);
+    assert.ok(published.every((m) => 1 === m.version && AOR === m.aor && m.messageId));
+  });
+
+  await t.test('refreshes one contact and unregisters another', async() => {
+    const {redisDb, published, srf} = await setup();
+    await send(srf, `<${DESK}>, <${SOFT}>`, 3600);
+    await waitFor(() => 2 === published.length);
+
+    const {status} = await send(srf, `<${DESK}>, <${SOFT}>;expires=0`, 1800);
+    assert.strictEqual(status, 200);
+    const registrations = await redisDb.queryRegistrations(AOR);
+    assert.deepStrictEqual(registrations.map((r) => r.contact), [DESK]);
+    await waitFor(() => 4 === published.length);
+    assert.deepStrictEqual(published.slice(2).map(({event, contact}) => ({event, contact})), [
+      {event: 'refreshed', contact: DESK},
+      {event: 'unregistered', contact: SOFT}
+    ]);
+  });
+
+  await t.test('saves none of the contacts, and publishes nothing, if they can not all be saved', async() => {
+    const {redisDb, published, srf} = await setup();
+    const multi = redisDb.client.multi.bind(redisDb.client);
+    redisDb.client.multi = () => Object.assign(multi(), {execAsync: () => Promise.reject(new Error('boom'))});
+
+    const {status} = await send(srf, `<${DESK}>, <${SOFT}>`, 3600);
+    assert.strictEqual(status, 500);
+    assert.deepStrictEqual(await redisDb.queryRegistrations(AOR), []);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepStrictEqual(published, []);
+  });
+
+  await t.test('refuses a contact with too short an expiry', async() => {
+    const {redisDb, srf} = await setup();
+    const {status, opts} = await send(srf, `<${DESK}>, <${SOFT}>;expires=10`, 3600);
+    assert.strictEqual(status, 423);
+    assert.strictEqual(opts.headers['Min-Expires'], 60);
+    assert.deepStrictEqual(await redisDb.queryRegistrations(AOR), []);
+  });
+});
@@ -0,0 +1,64 @@
+process.env.NODE_CONFIG = JSON.stringify({tenants: {acme: {domain: 'acme.com'}}});
+
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeSrf, waitFor} = require('./helpers/sip');
+
+const LIST = 'friends@drachtio.org';
+const WATCHER = 'alice@drachtio.org';
+
+/* alice's friends: bob, who she may watch, carol, who has blocked her, dave, who has not yet decided, and eve,
+  who belongs to another tenant */
+const setup = async(t) => {
+  const redisDb = await createRedisDb();
+  const srf = makeSrf({redisDb});
+  srf.locals.rls = require('../lib/rls')(logger, srf);
+  srf.locals.authorization = require('../lib/authorization')(logger, srf);
+  redisDb.eventPackages.dialog = require('../lib/events/packages/dialog')(logger, redisDb.client, srf);
+  t.after(() => Promise.all([srf.locals.authorization.disconnect(), redisDb.eventPackages.dialog.disconnect()]));
+
+  await redisDb.addResourceList(LIST, ['bob@drachtio.org', 'carol@drachtio.org', 'dave@drachtio.org', 'eve@acme.com']);
+  await redisDb.setWatcherRule('carol@drachtio.org', WATCHER, 'block');
+  await redisDb.setWatcherRule('dave@drachtio.org', WATCHER, 'pending');
+  return srf;
+};
+
+const getInstances = (body) => {
+  const instances = {};
+  for (const [, uri, attrs] of body.matchAll(/<resource uri="sip:([^"]+)">\s*<instance ([^>]*)\/>/g)) {
+    instances[uri] = attrs.replace(/id="\w+" /, '').replace(/ cid="[^"]+"/, '');
+  }
+  return instances;
+};
+const getEntities = (body) => [...body.matchAll(/entity="([^"]+)"/g)].map((m) => m[1]);
+
+test('resource lists', async(t) => {
+  await t.test('only carry the state of the members the subscriber may watch', async(t) => {
+    const {locals: {rls}} = await setup(t);
+    const {content} = await rls.getEventState(WATCHER, LIST, 'dialog');
+
+    assert.deepStrictEqual(getInstances(content), {
+      'bob@drachtio.org': 'state="active"',
+      'carol@drachtio.org': 'state="terminated" reason="rejected"',
+      'dave@drachtio.org': 'state="pending"',
+      'eve@acme.com': 'state="terminated" reason="rejected"'
+    });
+    assert.deepStrictEqual(getEntities(content), ['bob@drachtio.org']);
+  });
+
+  await t.test('show a member once the subscriber is allowed to watch it', async(t) => {
+    const srf = await setup(t);
+    const {redisDb, rls, authorization} = srf.locals;
+    const subscription = {subscriber: WATCHER, resource: LIST, eventType: 'dialog', callId: 'call-1'};
+    const dlg = {id: 'call-1;from-tag=1234'};
+    await rls.addSubscription(dlg, subscription, 600);
+    await redisDb.addSubscriptionDialog(dlg.id, subscription, 600, true);
+
+    await authorization.setRule('carol@drachtio.org', WATCHER, 'allow');
+    await waitFor(() => srf.requests.length);
+    const instances = getInstances(srf.requests[0].body);
+    assert.strictEqual(instances['carol@drachtio.org'], 'state="active"');
+    assert.deepStrictEqual(getEntities(srf.requests[0].body), ['bob@drachtio.org', 'carol@drachtio.org']);
+  });
+});
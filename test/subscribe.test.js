@@ -0,0 +1,94 @@
+process.env.SUPPORTED_EVENTS = 'dialog';
+
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeRequest, makeResponse, makeSrf, waitFor} = require('./helpers/sip');
+const subscribe = require('../lib/subscribe')(logger);
+
+const setup = async(t) => {
+  const redisDb = await createRedisDb();
+  const srf = makeSrf({
+    redisDb,
+    rls: {isResourceList: async() => false},
+    authorization: {authorize: async() => 'allow'}
+  });
+  redisDb.eventPackages.dialog = require('../lib/events/packages/dialog')(logger, redisDb.client, srf, redisDb);
+  t.after(() => redisDb.eventPackages.dialog.disconnect());
+  return {redisDb, srf};
+};
+
+const makeSubscribe = (srf, headers = {}) => makeRequest(srf, 'SUBSCRIBE', 'sip:bob@drachtio.org', Object.assign({
+  'To': '<sip:bob@drachtio.org>',
+  'From': '<sip:alice@drachtio.org>;tag=1234',
+  'Call-ID': 'call-1',
+  'Event': 'dialog',
+  'Expires': '600'
+}, headers));
+
+const getVersion = (notify) => parseInt(/ version="(\d+)"/.exec(notify.body)[1]);
+
+test('refreshing a SUBSCRIBE', async(t) => {
+  await t.test('keeps the dialog-info version going up', async(t) => {
+    const {redisDb, srf} = await setup(t);
+    const res = makeResponse();
+    subscribe(makeSubscribe(srf), res);
+    assert.strictEqual((await res.sent).status, 200);
+    await waitFor(() => 1 === srf.requests.length);
+    const [dlg] = srf.dialogs;
+
+    const versions = [getVersion(srf.requests[0])];
+    for (const expires of ['1200', '1800']) {
+      const refresh = makeResponse();
+      dlg.emit('subscribe', makeSubscribe(srf, {'Expires': expires, 'To': '<sip:bob@drachtio.org>;tag=5678'}), refresh);
+      assert.strictEqual((await refresh.sent).status, 202);
+      await waitFor(() => versions.length + 1 === srf.requests.length);
+      versions.push(getVersion(srf.requests[versions.length]));
+    }
+    assert.deepStrictEqual(versions, [0, 1, 2]);
+
+    const ttl = await redisDb.client.ttlAsync('dlg-sub:alice@drachtio.org-bob@drachtio.org:call-1');
+    assert.ok(ttl > 1200, `the subscription is extended (ttl ${ttl})`);
+  });
+});
+
+test('SUBSCRIBE', async(t) => {
+  await t.test('is refused with a 400 if its Expires header is not a number of seconds', async(t) => {
+    const {srf} = await setup(t);
+    const res = makeResponse();
+    subscribe(makeSubscribe(srf, {'Expires': 'soon'}), res);
+    assert.strictEqual((await res.sent).status, 400);
+    assert.strictEqual(srf.dialogs.length, 0);
+  });
+
+  await t.test('is refused with a 423 if it is shorter than the minimum expiry', async(t) => {
+    const {srf} = await setup(t);
+    const res = makeResponse();
+    subscribe(makeSubscribe(srf, {'Expires': '10'}), res);
+    const {status, opts} = await res.sent;
+    assert.strictEqual(status, 423);
+    assert.deepStrictEqual(opts.headers, {'Min-Expires': 60});
+  });
+
+  await t.test('with Expires: 0 fetches the current state, saving nothing', async(t) => {
+    const {redisDb, srf} = await setup(t);
+    const res = makeResponse();
+    subscribe(makeSubscribe(srf, {'Expires': '0'}), res);
+    assert.strictEqual((await res.sent).status, 200);
+    await waitFor(() => 1 === srf.requests.length);
+    assert.strictEqual(srf.requests[0].headers['Subscription-State'], 'terminated;reason=timeout');
+    assert.match(srf.requests[0].body, /<dialog-info /);
+    assert.deepStrictEqual(await redisDb.getSubscriptionDialogs(), []);
+  });
+
+  await t.test('refreshing is refused with a 400 if its Expires header is not a number of seconds', async(t) => {
+    const {srf} = await setup(t);
+    const res = makeResponse();
+    subscribe(makeSubscribe(srf), res);
+    await waitFor(() => 1 === srf.requests.length);
+    const refresh = makeResponse();
+    srf.dialogs[0].emit('subscribe', makeSubscribe(srf, {'Expires': '1e3', 'To': '<sip:bob@drachtio.org>;tag=5678'}),
+      refresh);
+    assert.strictEqual((await refresh.sent).status, 400);
+  });
+});
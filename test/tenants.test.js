@@ -0,0 +1,127 @@
+process.env.NODE_CONFIG = JSON.stringify({
+  domain: 'example.com',
+  tenants: {
+    acme: {domain: 'acme.com', aliases: ['sip.acme.com'], networks: ['10.1.0.0/16'], allowSubscribersFrom: ['globex']},
+    globex: {domain: 'globex.com', networks: ['192.168.1.10'], maxSubscriptions: 1},
+    initech: {domain: 'initech.com', allowSubscribersFrom: ['*']}
+  }
+});
+process.env.SUPPORTED_EVENTS = 'dialog';
+
+const test = require('node:test');
+const assert = require('assert');
+const {logger, createRedisDb} = require('./helpers/redis');
+const {makeRequest, makeResponse, makeSrf, waitFor} = require('./helpers/sip');
+const {parseAor} = require('../lib/utils');
+const {mayWatchAcrossTenants, tenantKey, getTenantOfAor} = require('../lib/tenants');
+const subscribe = require('../lib/subscribe')(logger);
+
+test('parseAor', async(t) => {
+  await t.test('returns user@domain', () => {
+    assert.strictEqual(parseAor('sip:101@acme.com'), '101@acme.com');
+    assert.strictEqual(parseAor('sip:alice@other.org;transport=tcp'), 'alice@other.org');
+  });
+
+  await t.test('replaces an alias with the domain of its tenant', () => {
+    assert.strictEqual(parseAor('sip:101@sip.acme.com'), '101@acme.com');
+    assert.strictEqual(parseAor('sip:101@SIP.ACME.COM'), '101@acme.com');
+  });
+
+  await t.test('gives an IP address the domain of the tenant whose networks contain the source', () => {
+    assert.strictEqual(parseAor('sip:101@172.16.0.1', '10.1.2.3'), '101@acme.com');
+    assert.strictEqual(parseAor('sip:101@172.16.0.1', '192.168.1.10'), '101@globex.com');
+  });
+
+  await t.test('gives an IP address the configured domain if the source belongs to no tenant', () => {
+    assert.strictEqual(parseAor('sip:101@172.16.0.1', '192.168.1.11'), '101@example.com');
+    assert.strictEqual(parseAor('sip:101@172.16.0.1'), '101@example.com');
+  });
+
+  await t.test('marks a uri without a user', () => {
+    assert.strictEqual(parseAor('sip:acme.com'), 'undefined@acme.com');
+  });
+});
+
+test('mayWatchAcrossTenants', async(t) => {
+  await t.test('allows a subscriber to watch the resources of their own tenant', () => {
+    assert.strictEqual(mayWatchAcrossTenants('alice@acme.com', 'bob@acme.com'), true);
+    assert.strictEqual(mayWatchAcrossTenants('alice@other.org', 'bob@example.net'), true);
+  });
+
+  await t.test('allows subscribers from the tenants a tenant lists', () => {
+    assert.strictEqual(mayWatchAcrossTenants('alice@globex.com', 'bob@acme.com'), true);
+    assert.strictEqual(mayWatchAcrossTenants('alice@acme.com', 'bob@initech.com'), true);
+    assert.strictEqual(mayWatchAcrossTenants('alice@other.org', 'bob@initech.com'), true);
+  });
+
+  await t.test('refuses subscribers from any other tenant', () => {
+    assert.strictEqual(mayWatchAcrossTenants('alice@acme.com', 'bob@globex.com'), false);
+    assert.strictEqual(mayWatchAcrossTenants('alice@initech.com', 'bob@acme.com'), false);
+    assert.strictEqual(mayWatchAcrossTenants('alice@other.org', 'bob@acme.com'), false);
+    assert.strictEqual(mayWatchAcrossTenants('alice@acme.com', 'bob@other.org'), false);
+  });
+});
+
+test('tenantKey', async(t) => {
+  await t.test('prefixes a key with the prefix of the tenant', () => {
+    assert.strictEqual(tenantKey('101@acme.com', 'reg:101@acme.com'), 'acme:reg:101@acme.com');
+  });
+
+  await t.test('leaves the keys of the default tenant alone', () => {
+    assert.strictEqual(tenantKey('101@other.org', 'reg:101@other.org'), 'reg:101@other.org');
+  });
+});
+
+test('maxSubscriptions', async(t) => {
+  const setup = async(t) => {
+    const redisDb = await createRedisDb();
+    const srf = makeSrf({
+      redisDb,
+      rls: {isResourceList: async() => false},
+      authorization: {authorize: async() => 'allow'}
+    });
+    redisDb.eventPackages.dialog = require('../lib/events/packages/dialog')(logger, redisDb.client, srf);
+    t.after(() => redisDb.eventPackages.dialog.disconnect());
+    return srf;
+  };
+
+  const send = async(srf, callId) => {
+    const res = makeResponse();
+    subscribe(makeRequest(srf, 'SUBSCRIBE', 'sip:bob@globex.com', {
+      'To': '<sip:bob@globex.com>',
+      'From': `<sip:alice@globex.com>;tag=${callId}`,
+      'Call-ID': callId,
+      'Event': 'dialog',
+      'Expires': '600'
+    }), res);
+    return (await res.sent).status;
+  };
+
+  await t.test('reserves the subscriptions of a tenant until they are released', async() => {
+    const redisDb = await createRedisDb();
+    const tenant = getTenantOfAor('bob@globex.com');
+    const reservation = await redisDb.reserveTenantSubscription(tenant);
+    assert.ok(reservation);
+    assert.strictEqual(await redisDb.reserveTenantSubscription(tenant), null);
+    await redisDb.releaseTenantSubscription(tenant, reservation);
+    assert.ok(await redisDb.reserveTenantSubscription(tenant));
+  });
+
+  await t.test('refuses a SUBSCRIBE once the tenant has its maxSubscriptions', async(t) => {
+    const srf = await setup(t);
+    assert.strictEqual(await send(srf, 'call-1'), 200);
+    await waitFor(() => 1 === srf.requests.length);
+    assert.strictEqual(await send(srf, 'call-2'), 403);
+  });
+
+  await t.test('frees the reservation of a SUBSCRIBE that fails', async(t) => {
+    const srf = await setup(t);
+    const {createUAS} = srf;
+    srf.createUAS = async() => {
+      srf.createUAS = createUAS;
+      throw new Error('no transaction');
+    };
+    assert.strictEqual(await send(srf, 'call-1'), 480);
+    assert.strictEqual(await send(srf, 'call-2'), 200);
+  });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('assert');
+const {
+  parseEventHeader,
+  getNotifyRate,
+  negotiateContentType,
+  makeSubscriptionState
+} = require('../lib/utils');
+
+const PIDF = 'application/pidf+xml';
+const XPIDF = 'application/xpidf+xml';
+
+test('parseEventHeader', async(t) => {
+  await t.test('parses the event type', () => {
+    assert.deepStrictEqual(parseEventHeader('presence'), {event: 'presence'});
+    assert.deepStrictEqual(parseEventHeader(' dialog '), {event: 'dialog'});
+  });
+
+  await t.test('parses the id and rate control parameters', () => {
+    assert.deepStrictEqual(parseEventHeader('dialog;id=1234;throttle=10;force=60;average-rate=30'), {
+      event: 'dialog',
+      id: '1234',
+      throttle: 10,
+      force: 60,
+      averageRate: 30
+    });
+  });
+
+  await t.test('matches rate control parameter names regardless of case', () => {
+    assert.deepStrictEqual(parseEventHeader('presence; Throttle = 5'), {event: 'presence', throttle: 5});
+  });
+
+  await t.test('ignores rate control values that are not a whole number of seconds', () => {
+    assert.deepStrictEqual(parseEventHeader('presence;throttle=1.5;force=-1;average-rate=abc'), {event: 'presence'});
+  });
+
+  await t.test('ignores an empty id and unknown parameters', () => {
+    assert.deepStrictEqual(parseEventHeader('presence;id=;foo=bar;throttle'), {event: 'presence'});
+  });
+});
+
+test('getNotifyRate', async(t) => {
+  await t.test('has no minimum interval by default', () => {
+    assert.deepStrictEqual(getNotifyRate(), {minInterval: 0});
+    assert.deepStrictEqual(getNotifyRate({}), {minInterval: 0});
+  });
+
+  await t.test('takes the larger of throttle and average-rate as the minimum interval', () => {
+    assert.deepStrictEqual(getNotifyRate({throttle: 10}), {minInterval: 10});
+    assert.deepStrictEqual(getNotifyRate({throttle: 5, averageRate: 20}), {minInterval: 20});
+    assert.deepStrictEqual(getNotifyRate({throttle: '15', averageRate: '3'}), {minInterval: 15});
+  });
+
+  await t.test('never forces NOTIFYs more often than the minimum interval', () => {
+    assert.deepStrictEqual(getNotifyRate({force: 60}), {minInterval: 0, force: 60});
+    assert.deepStrictEqual(getNotifyRate({throttle: 10, force: 3}), {minInterval: 10, force: 10});
+    assert.deepStrictEqual(getNotifyRate({force: 0}), {minInterval: 0});
+  });
+});
+
+test('negotiateContentType', async(t) => {
+  await t.test('chooses our first preference without an Accept header', () => {
+    assert.strictEqual(negotiateContentType(undefined, [PIDF, XPIDF]), PIDF);
+    assert.strictEqual(negotiateContentType(' ', [PIDF, XPIDF]), PIDF);
+  });
+
+  await t.test('chooses an exact match, regardless of case', () => {
+    assert.strictEqual(negotiateContentType(XPIDF, [PIDF, XPIDF]), XPIDF);
+    assert.strictEqual(negotiateContentType('Application/XPIDF+XML', [PIDF, XPIDF]), XPIDF);
+  });
+
+  await t.test('chooses the type with the highest q value', () => {
+    assert.strictEqual(negotiateContentType(`${PIDF};q=0.5, ${XPIDF}`, [PIDF, XPIDF]), XPIDF);
+    assert.strictEqual(negotiateContentType(`${PIDF};q=0.8, ${XPIDF};q=0.8`, [PIDF, XPIDF]), PIDF);
+  });
+
+  await t.test('matches wildcards, preferring the most specific range', () => {
+    assert.strictEqual(negotiateContentType('application/*', [PIDF, XPIDF]), PIDF);
+    assert.strictEqual(negotiateContentType('*/*', [XPIDF]), XPIDF);
+    assert.strictEqual(negotiateContentType(`application/*;q=0.1, ${XPIDF}`, [PIDF, XPIDF]), XPIDF);
+    assert.strictEqual(negotiateContentType(`*/*, ${PIDF};q=0`, [PIDF]), undefined);
+  });
+
+  await t.test('returns undefined if nothing is acceptable', () => {
+    assert.strictEqual(negotiateContentType('text/plain', [PIDF, XPIDF]), undefined);
+    assert.strictEqual(negotiateContentType(`${PIDF};q=0`, [PIDF]), undefined);
+  });
+});
+
+test('makeSubscriptionState', async(t) => {
+  await t.test('adds the seconds left to an active or pending subscription', () => {
+    assert.strictEqual(makeSubscriptionState('active', Date.now() + 30000), 'active;expires=30');
+    assert.strictEqual(makeSubscriptionState('pending', Date.now() + 599600), 'pending;expires=600');
+  });
+
+  await t.test('never gives a negative number of seconds', () => {
+    assert.strictEqual(makeSubscriptionState('active', Date.now() - 5000), 'active;expires=0');
+  });
+
+  await t.test('leaves the state alone if the subscription is terminated or its expiry is unknown', () => {
+    const state = 'terminated;reason=timeout';
+    assert.strictEqual(makeSubscriptionState(state, Date.now() + 30000), state);
+    assert.strictEqual(makeSubscriptionState('active'), 'active');
+  });
+});